@@ -0,0 +1,154 @@
+/**
+ * Album Service
+ * Combines the analyses of several photos into one weighted analysis
+ */
+
+const { buildAnalysis } = require('./vision');
+
+// Maximum number of photos accepted in one album
+const MAX_ALBUM_SIZE = 20;
+
+/**
+ * Combines per-image analyses into a single analysis with the usual shape
+ * @param {Array} analyses - Analysis results, one per photo, in upload order
+ * @param {Array<number>|null} fixedWeights - Weights to use instead of weighing each photo by its content
+ * @returns {Object} The combined analysis and the weight given to each photo
+ */
+function combineAnalyses(analyses, fixedWeights = null) {
+  const weights = normalize(fixedWeights || analyses.map(getImageWeight));
+
+  // Labels: sum weighted scores per description (case-insensitive)
+  const labelScores = new Map();
+  analyses.forEach((analysis, index) => {
+    (analysis.labels || []).forEach(label => {
+      const key = label.description.toLowerCase();
+      const entry = labelScores.get(key) || { description: label.description, score: 0 };
+      entry.score += (label.score || 0) * weights[index];
+      labelScores.set(key, entry);
+    });
+  });
+  const labels = [...labelScores.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 5);
+
+  // Palette: weight each color's pixel fraction by its photo, merging identical hexes
+  const colorFractions = new Map();
+  analyses.forEach((analysis, index) => {
+    (analysis.colors || []).forEach(color => {
+      const entry = colorFractions.get(color.hex) || {
+        red: color.red,
+        green: color.green,
+        blue: color.blue,
+        score: 0,
+        pixelFraction: 0
+      };
+      entry.score += (color.score || 0) * weights[index];
+      entry.pixelFraction += (color.pixelFraction || 0) * weights[index];
+      colorFractions.set(color.hex, entry);
+    });
+  });
+  const colors = [...colorFractions.values()]
+    .sort((a, b) => b.pixelFraction - a.pixelFraction)
+    .slice(0, 5);
+
+  // Emotions: weighted average of each photo's mean face emotions
+  const emotionTotals = {};
+  let emotionWeight = 0;
+  analyses.forEach((analysis, index) => {
+    if (!analysis.emotions || !analysis.emotions.length) return;
+    analysis.emotions.forEach(face => {
+      Object.keys(face).forEach(key => {
+        emotionTotals[key] = (emotionTotals[key] || 0) + (face[key] / analysis.emotions.length) * weights[index];
+      });
+    });
+    emotionWeight += weights[index];
+  });
+  const emotions = emotionWeight
+    ? [Object.keys(emotionTotals).reduce((acc, key) => {
+        acc[key] = emotionTotals[key] / emotionWeight;
+        return acc;
+      }, {})]
+    : [];
+
+  // Tonal properties: weighted average (warmth and harmony follow from the combined palette)
+  const properties = ['brightness', 'contrast', 'saturation'].reduce((acc, key) => {
+    acc[key] = analyses.reduce((sum, analysis, index) =>
+      sum + ((analysis.palette && analysis.palette[key]) || 0) * weights[index], 0);
+    return acc;
+  }, {});
+
+  // Text from every photo, heaviest photos first
+  const text = analyses
+    .map((analysis, index) => ({ text: analysis.text || [], weight: weights[index] }))
+    .sort((a, b) => b.weight - a.weight)
+    .flatMap(entry => entry.text);
+
+  const providers = [...new Set(analyses.map(analysis => analysis.provider).filter(Boolean))];
+  const combined = buildAnalysis({ labels, colors, emotions, text, properties }, providers.join('+'));
+
+  // The album takes the place of its heaviest located photo
+  combined.place = pickPlace(analyses, weights);
+
+  // Flagged photos never reach an album, so only whether every photo was checked carries over
+  combined.moderation = {
+    checked: analyses.every(analysis => analysis.moderation && analysis.moderation.checked),
+    unavailable: analyses.some(analysis => analysis.moderation && analysis.moderation.unavailable),
+    flagged: false,
+    categories: []
+  };
+
+  return { analysis: combined, weights };
+}
+
+/**
+ * Weighs a photo by how confidently it was analyzed and how much mood it carries
+ * @param {Object} analysis - Analysis result for one photo
+ * @returns {number} Unnormalized weight
+ */
+function getImageWeight(analysis) {
+  const labels = analysis.labels || [];
+  const labelConfidence = labels.length
+    ? labels.reduce((sum, label) => sum + (label.score || 0), 0) / labels.length
+    : 0.5;
+
+  // Photos with faces or text say more about the moment than plain scenery
+  const faceBonus = analysis.emotions && analysis.emotions.length ? 0.25 : 0;
+  const textBonus = analysis.textPhrases && analysis.textPhrases.length ? 0.1 : 0;
+
+  return labelConfidence + faceBonus + textBonus;
+}
+
+/**
+ * Scales weights so they sum to 1
+ * @param {Array<number>} values - Raw weights
+ * @returns {Array<number>} Normalized weights
+ */
+function normalize(values) {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return values.map(value => (total ? value / total : 1 / values.length));
+}
+
+/**
+ * Picks the place of the most heavily weighted photo that has one
+ * @param {Array} analyses - Analysis results
+ * @param {Array<number>} weights - Normalized weights
+ * @returns {Object|null} Place or null
+ */
+function pickPlace(analyses, weights) {
+  let best = null;
+  let bestWeight = -1;
+
+  analyses.forEach((analysis, index) => {
+    if (analysis.place && weights[index] > bestWeight) {
+      best = analysis.place;
+      bestWeight = weights[index];
+    }
+  });
+
+  return best;
+}
+
+module.exports = {
+  MAX_ALBUM_SIZE,
+  combineAnalyses
+};
@@ -0,0 +1,127 @@
+/**
+ * Audio Feature Targets
+ * Maps an image analysis to Spotify audio-feature targets (valence, energy, tempo, mode)
+ * and scores tracks by how closely their audio features fit them
+ */
+
+const { clamp, round } = require('./math');
+
+// Tempo range (BPM) spanned from a still scene to the fastest motion
+const MIN_TEMPO = 70;
+const MAX_TEMPO = 180;
+
+// Tempo difference (BPM) at which a track stops fitting at all
+const TEMPO_TOLERANCE = 60;
+
+// Palette warmth beyond which the key's mode is targeted (major when warm, minor when cool)
+const MODE_WARMTH_THRESHOLD = 0.15;
+
+// How much each feature counts towards the fit; missing targets are left out
+const FIT_WEIGHTS = {
+  valence: 0.35,
+  energy: 0.35,
+  tempo: 0.2,
+  mode: 0.1
+};
+
+/**
+ * Derives audio-feature targets from an analysis
+ * @param {Object} analysis - Analysis with mood, palette, and optional motion
+ * @returns {Object} Targets: valence and energy (0-1), tempo (BPM), and mode (1 major, 0 minor);
+ * tempo and mode are null when the image says nothing about them
+ */
+function computeTargets(analysis) {
+  const mood = analysis.mood || {};
+  const palette = analysis.palette || {};
+  const motion = analysis.motion || null;
+
+  const saturation = clamp(palette.saturation, 0, 1);
+  const brightness = clamp(palette.brightness, 0, 1);
+  const warmth = clamp(palette.warmth, -1, 1);
+
+  return {
+    valence: round(Number.isFinite(mood.valence) ? clamp(mood.valence, 0, 1) : 0.5),
+    // Vivid colors drive energy more than light does; a dull, dark image is calm
+    energy: round(clamp(0.1 + 0.5 * saturation + 0.4 * brightness, 0, 1)),
+    // Only clips have scene motion to set a tempo
+    tempo: motion ? Math.round(MIN_TEMPO + clamp(motion.energy, 0, 1) * (MAX_TEMPO - MIN_TEMPO)) : null,
+    mode: warmth >= MODE_WARMTH_THRESHOLD ? 1 : warmth <= -MODE_WARMTH_THRESHOLD ? 0 : null
+  };
+}
+
+/**
+ * Validates targets sent by the client
+ * @param {Object|null} targets - Targets as returned by computeTargets
+ * @returns {Object|null} Clamped targets, or null if none are usable
+ */
+function normalizeTargets(targets) {
+  if (!targets || typeof targets !== 'object') {
+    return null;
+  }
+
+  const number = value => (value === null || value === undefined || value === '' ? NaN : Number(value));
+  const valence = number(targets.valence);
+  const energy = number(targets.energy);
+  const tempo = number(targets.tempo);
+  const mode = number(targets.mode);
+
+  const normalized = {
+    valence: Number.isFinite(valence) ? clamp(valence, 0, 1) : null,
+    energy: Number.isFinite(energy) ? clamp(energy, 0, 1) : null,
+    tempo: Number.isFinite(tempo) ? clamp(tempo, MIN_TEMPO, MAX_TEMPO) : null,
+    mode: mode === 0 || mode === 1 ? mode : null
+  };
+
+  return Object.values(normalized).some(value => value !== null) ? normalized : null;
+}
+
+/**
+ * Scores how well a track's audio features fit the targets
+ * @param {Object|null} features - Spotify audio features (valence, energy, tempo, mode)
+ * @param {Object} targets - Normalized targets
+ * @returns {Object|null} Fit score (0-1) and the per-feature similarity, or null without features
+ */
+function scoreTrack(features, targets) {
+  if (!features || !targets) {
+    return null;
+  }
+
+  const similarities = {};
+
+  if (targets.valence !== null && Number.isFinite(features.valence)) {
+    similarities.valence = 1 - Math.abs(features.valence - targets.valence);
+  }
+  if (targets.energy !== null && Number.isFinite(features.energy)) {
+    similarities.energy = 1 - Math.abs(features.energy - targets.energy);
+  }
+  if (targets.tempo !== null && Number.isFinite(features.tempo) && features.tempo > 0) {
+    // Tempo detection often lands on half or double time, so accept either
+    const difference = Math.min(...[1, 0.5, 2].map(factor => Math.abs(features.tempo * factor - targets.tempo)));
+    similarities.tempo = Math.max(0, 1 - difference / TEMPO_TOLERANCE);
+  }
+  if (targets.mode !== null && (features.mode === 0 || features.mode === 1)) {
+    similarities.mode = features.mode === targets.mode ? 1 : 0;
+  }
+
+  const scored = Object.keys(similarities);
+  if (!scored.length) {
+    return null;
+  }
+
+  const totalWeight = scored.reduce((sum, feature) => sum + FIT_WEIGHTS[feature], 0);
+  const score = scored.reduce((sum, feature) => sum + similarities[feature] * FIT_WEIGHTS[feature], 0) / totalWeight;
+
+  return {
+    score: round(score),
+    features: scored.reduce((acc, feature) => {
+      acc[feature] = round(similarities[feature]);
+      return acc;
+    }, {})
+  };
+}
+
+module.exports = {
+  computeTargets,
+  normalizeTargets,
+  scoreTrack
+};
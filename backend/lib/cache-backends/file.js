@@ -0,0 +1,164 @@
+/**
+ * File Cache Backend
+ * Writes each cache entry to its own file under CACHE_DIR so caches survive a restart.
+ * Values are stored with the V8 serializer, which keeps Buffers (image data) intact
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const v8 = require('v8');
+
+// One subdirectory per cache; the default lives in the system temp directory
+const CACHE_DIR = process.env.CACHE_DIR || path.join(os.tmpdir(), 'image-to-spotify-cache');
+
+const FILE_EXTENSION = '.cache';
+
+/**
+ * Creates a store for one named cache
+ * Disk errors are logged and otherwise ignored: the in-memory cache keeps working.
+ * Writes and deletes run in the background, one at a time per file, so a request never
+ * waits for the disk and a later change to an entry never lands before an earlier one
+ * @param {string} name - Cache name
+ * @returns {Object} Store with load, save, remove, and clear
+ */
+function createStore(name) {
+  const directory = path.join(CACHE_DIR, name);
+
+  try {
+    fs.mkdirSync(directory, { recursive: true });
+  } catch (error) {
+    console.error(`Cannot create cache directory ${directory}:`, error.message);
+  }
+
+  // Keys can be long (recommendation inputs), so name files after their hash
+  const fileFor = key => path.join(
+    directory,
+    `${crypto.createHash('sha256').update(String(key)).digest('hex')}${FILE_EXTENSION}`
+  );
+
+  // Last pending disk operation per file
+  const pending = new Map();
+
+  // Tells apart temporary files of writes to the same file
+  let writeCount = 0;
+
+  /**
+   * Runs a disk operation on a file once the earlier ones on that file have finished
+   * @param {string} file - File path
+   * @param {Function} operation - Async function doing the work; errors are its own to log
+   */
+  function enqueue(file, operation) {
+    const previous = pending.get(file) || Promise.resolve();
+    const next = previous.then(operation);
+    pending.set(file, next);
+    next.then(() => {
+      if (pending.get(file) === next) pending.delete(file);
+    });
+  }
+
+  /**
+   * Lists the entry files in the cache directory
+   * @returns {Array<string>} File paths
+   */
+  function listFiles() {
+    try {
+      return fs.readdirSync(directory)
+        .filter(file => file.endsWith(FILE_EXTENSION))
+        .map(file => path.join(directory, file));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Deletes a file, ignoring files that are already gone
+   * @param {string} file - File path
+   */
+  async function unlink(file) {
+    try {
+      await fs.promises.unlink(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Cannot delete cache file ${file}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Deletes a file after the pending operations on it
+   * @param {string} file - File path
+   */
+  function scheduleUnlink(file) {
+    enqueue(file, () => unlink(file));
+  }
+
+  return {
+    /**
+     * Reads every stored entry, dropping files that cannot be read
+     * @returns {Array} Entries with key, value, and expiresAt, oldest first
+     */
+    load() {
+      const loaded = [];
+      listFiles().forEach(file => {
+        try {
+          loaded.push(v8.deserialize(fs.readFileSync(file)));
+        } catch (error) {
+          console.error(`Discarding unreadable cache file ${file}:`, error.message);
+          scheduleUnlink(file);
+        }
+      });
+      return loaded.sort((a, b) => a.storedAt - b.storedAt);
+    },
+
+    /**
+     * Writes an entry in the background, replacing any earlier version
+     * @param {string} key - Entry key
+     * @param {Object} entry - Entry with value and expiresAt
+     */
+    save(key, entry) {
+      const file = fileFor(key);
+      let data;
+      try {
+        // Serialize now, so the value written is the one stored even if the write waits
+        data = v8.serialize({ key, ...entry, storedAt: Date.now() });
+      } catch (error) {
+        console.error(`Cannot serialize cache entry for ${file}:`, error.message);
+        return;
+      }
+
+      enqueue(file, async () => {
+        // Write to a temporary file first so a crash never leaves a half-written entry
+        const temporary = `${file}.${process.pid}.${++writeCount}.tmp`;
+        try {
+          await fs.promises.writeFile(temporary, data);
+          await fs.promises.rename(temporary, file);
+        } catch (error) {
+          console.error(`Cannot write cache file ${file}:`, error.message);
+          await unlink(temporary);
+        }
+      });
+    },
+
+    /**
+     * Deletes an entry in the background
+     * @param {string} key - Entry key
+     */
+    remove(key) {
+      scheduleUnlink(fileFor(key));
+    },
+
+    /**
+     * Deletes every entry of this cache, including ones still being written
+     */
+    clear() {
+      new Set([...listFiles(), ...pending.keys()]).forEach(scheduleUnlink);
+    }
+  };
+}
+
+module.exports = {
+  name: 'file',
+  createStore
+};
@@ -0,0 +1,22 @@
+/**
+ * Memory Cache Backend
+ * Keeps nothing outside the process, so caches start empty after a restart
+ */
+
+/**
+ * Creates a store that persists nothing
+ * @returns {Object} Store with load, save, remove, and clear
+ */
+function createStore() {
+  return {
+    load: () => [],
+    save: () => {},
+    remove: () => {},
+    clear: () => {}
+  };
+}
+
+module.exports = {
+  name: 'memory',
+  createStore
+};
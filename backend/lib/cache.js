@@ -0,0 +1,228 @@
+/**
+ * Cache Service
+ * Named caches with LRU size limits, per-entry TTLs, and hit/miss statistics.
+ * Entries are served from memory; the file backend also writes them to disk
+ * so they survive a restart
+ */
+
+const memoryBackend = require('./cache-backends/memory');
+const fileBackend = require('./cache-backends/file');
+
+// 'memory' (default) or 'file'
+const CACHE_BACKEND = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+
+const backends = {
+  memory: memoryBackend,
+  file: fileBackend
+};
+
+// Every cache created, by name, for status reporting
+const caches = new Map();
+
+/**
+ * Gets the configured backend
+ * @returns {Object} Backend with name and createStore
+ */
+function getBackend() {
+  const backend = backends[CACHE_BACKEND];
+  if (!backend) {
+    throw new Error(`Unknown CACHE_BACKEND "${CACHE_BACKEND}" (expected memory or file)`);
+  }
+  return backend;
+}
+
+/**
+ * Reads an optional numeric environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when the variable is unset or invalid
+ * @returns {number} Parsed value
+ */
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Creates a named cache with a Map-like interface
+ * Limits can be overridden with CACHE_<NAME>_MAX_ENTRIES and CACHE_<NAME>_TTL (seconds)
+ * @param {string} name - Cache name, used for persistence and statistics
+ * @param {Object} options - Cache options
+ * @param {number} options.maxEntries - Entries kept before the least recently used one is evicted
+ * @param {number} options.ttl - Default time to live in seconds (0 keeps entries until evicted)
+ * @param {boolean} options.persist - Whether the configured backend may write entries outside the
+ * process; false keeps the cache in memory whatever CACHE_BACKEND says
+ * @returns {Object} Cache with get, set, has, delete, clear, keys, entries, size, and getStats
+ */
+function createCache(name, { maxEntries, ttl = 0, persist = true }) {
+  const envPrefix = `CACHE_${name.toUpperCase()}`;
+  const limit = Math.max(1, envNumber(`${envPrefix}_MAX_ENTRIES`, maxEntries));
+  const defaultTtl = envNumber(`${envPrefix}_TTL`, ttl);
+
+  const backend = persist ? getBackend() : memoryBackend;
+  const store = backend.createStore(name);
+
+  // Insertion order doubles as recency: the first key is the least recently used
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0 };
+
+  /**
+   * Checks whether an entry has outlived its TTL
+   * @param {Object} entry - Stored entry with expiresAt
+   * @returns {boolean} Whether the entry has expired
+   */
+  function isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  /**
+   * Finds a live entry, dropping it if it has expired
+   * @param {string} key - Entry key
+   * @returns {Object|undefined} The entry, or undefined if missing or expired
+   */
+  function lookup(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (isExpired(entry)) {
+      entries.delete(key);
+      store.remove(key);
+      stats.expirations++;
+      return undefined;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Evicts least recently used entries until the cache is within its limit
+   */
+  function trim() {
+    while (entries.size > limit) {
+      const oldestKey = entries.keys().next().value;
+      entries.delete(oldestKey);
+      store.remove(oldestKey);
+      stats.evictions++;
+    }
+  }
+
+  /**
+   * Gets a value and marks it as recently used; only get counts towards hits and misses
+   * @param {string} key - Entry key
+   * @returns {*} The value, or undefined if missing or expired
+   */
+  function get(key) {
+    const entry = lookup(key);
+    if (!entry) {
+      stats.misses++;
+      return undefined;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    stats.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Stores a value, evicting the least recently used entry if the cache is full
+   * @param {string} key - Entry key
+   * @param {*} value - Value to store (must not be mutated afterwards when persisted)
+   * @param {Object} options - Entry options
+   * @param {number} options.ttl - Time to live in seconds for this entry
+   * @returns {Object} The cache
+   */
+  function set(key, value, options = {}) {
+    const entryTtl = options.ttl !== undefined ? options.ttl : defaultTtl;
+    const entry = {
+      value,
+      expiresAt: entryTtl > 0 ? Date.now() + entryTtl * 1000 : null
+    };
+
+    entries.delete(key);
+    entries.set(key, entry);
+    store.save(key, entry);
+    stats.sets++;
+    trim();
+    return cache;
+  }
+
+  /**
+   * Removes an entry
+   * @param {string} key - Entry key
+   * @returns {boolean} Whether an entry was removed
+   */
+  function remove(key) {
+    if (!entries.delete(key)) return false;
+    store.remove(key);
+    return true;
+  }
+
+  /**
+   * Iterates over live entries from least to most recently used without touching recency
+   * @returns {Iterator} [key, value] pairs
+   */
+  function* iterateEntries() {
+    // Copy the keys first: expired entries are deleted while iterating
+    for (const key of [...entries.keys()]) {
+      const entry = lookup(key);
+      if (entry) yield [key, entry.value];
+    }
+  }
+
+  const cache = {
+    get,
+    set,
+    has: key => lookup(key) !== undefined,
+    delete: remove,
+    clear() {
+      entries.clear();
+      store.clear();
+    },
+    keys: () => [...iterateEntries()].map(([key]) => key)[Symbol.iterator](),
+    entries: iterateEntries,
+    [Symbol.iterator]: iterateEntries,
+    get size() {
+      return entries.size;
+    },
+    getStats() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        backend: backend.name,
+        size: entries.size,
+        maxEntries: limit,
+        ttl: defaultTtl,
+        ...stats,
+        hitRate: lookups ? Math.round((stats.hits / lookups) * 1000) / 1000 : null
+      };
+    }
+  };
+
+  // Restore persisted entries, oldest first so their order carries over
+  store.load().forEach(({ key, value, expiresAt }) => {
+    if (expiresAt !== null && expiresAt <= Date.now()) {
+      store.remove(key);
+    } else {
+      entries.set(key, { value, expiresAt });
+    }
+  });
+  trim();
+
+  caches.set(name, cache);
+  return cache;
+}
+
+/**
+ * Reports the statistics of every cache
+ * @returns {Object} Statistics keyed by cache name
+ */
+function getAllStats() {
+  return [...caches].reduce((acc, [name, cache]) => {
+    acc[name] = cache.getStats();
+    return acc;
+  }, {});
+}
+
+module.exports = {
+  createCache,
+  getAllStats
+};
@@ -0,0 +1,312 @@
+/**
+ * Color Service
+ * Perceptual color naming (CIELAB) and palette-level metrics
+ */
+
+// Named colors: CSS color keywords plus common descriptive names
+const NAMED_COLORS = [
+  ['black', '#000000'], ['charcoal', '#36454f'], ['dark gray', '#555555'], ['dim gray', '#696969'],
+  ['gray', '#808080'], ['medium gray', '#a9a9a9'], ['silver', '#c0c0c0'], ['light gray', '#d3d3d3'],
+  ['gainsboro', '#dcdcdc'], ['white smoke', '#f5f5f5'], ['white', '#ffffff'], ['snow', '#fffafa'],
+  ['ivory', '#fffff0'], ['cream', '#fffdd0'], ['beige', '#f5f5dc'], ['linen', '#faf0e6'],
+  ['eggshell', '#f0ead6'], ['bone', '#e3dac9'], ['antique white', '#faebd7'], ['wheat', '#f5deb3'],
+  ['sand', '#c2b280'], ['khaki', '#c3b091'], ['tan', '#d2b48c'], ['taupe', '#483c32'],
+  ['light taupe', '#b38b6d'], ['burlywood', '#deb887'], ['camel', '#c19a6b'], ['caramel', '#af6e4d'],
+  ['brown', '#964b00'], ['saddle brown', '#8b4513'], ['chocolate', '#7b3f00'], ['coffee', '#6f4e37'],
+  ['espresso', '#3c2218'], ['sienna', '#a0522d'], ['rust', '#b7410e'], ['copper', '#b87333'],
+  ['bronze', '#cd7f32'], ['mahogany', '#c04000'], ['chestnut', '#954535'], ['maroon', '#800000'],
+  ['burgundy', '#800020'], ['wine', '#722f37'], ['oxblood', '#4a0000'], ['dark red', '#8b0000'],
+  ['crimson', '#dc143c'], ['red', '#ff0000'], ['scarlet', '#ff2400'], ['cherry red', '#d2042d'],
+  ['brick red', '#cb4154'], ['firebrick', '#b22222'], ['indian red', '#cd5c5c'], ['terracotta', '#e2725b'],
+  ['coral', '#ff7f50'], ['light coral', '#f08080'], ['salmon', '#fa8072'], ['dark salmon', '#e9967a'],
+  ['light salmon', '#ffa07a'], ['tomato', '#ff6347'], ['vermilion', '#e34234'], ['orange red', '#ff4500'],
+  ['burnt orange', '#cc5500'], ['dark orange', '#ff8c00'], ['orange', '#ffa500'], ['tangerine', '#f28500'],
+  ['pumpkin', '#ff7518'], ['apricot', '#fbceb1'], ['peach', '#ffe5b4'], ['peach puff', '#ffdab9'],
+  ['amber', '#ffbf00'], ['saffron', '#f4c430'], ['marigold', '#eaa221'], ['goldenrod', '#daa520'],
+  ['dark goldenrod', '#b8860b'], ['gold', '#ffd700'], ['mustard', '#ffdb58'], ['lemon', '#fff700'],
+  ['yellow', '#ffff00'], ['canary yellow', '#ffef00'], ['pale yellow', '#ffff99'], ['butter', '#fffacd'],
+  ['light goldenrod', '#fafad2'], ['pale khaki', '#f0e68c'], ['olive', '#808000'], ['dark olive green', '#556b2f'],
+  ['olive drab', '#6b8e23'], ['moss green', '#8a9a5b'], ['sage', '#9caf88'], ['pistachio', '#93c572'],
+  ['chartreuse', '#7fff00'], ['lime', '#00ff00'], ['lime green', '#32cd32'], ['lawn green', '#7cfc00'],
+  ['yellow green', '#9acd32'], ['green yellow', '#adff2f'], ['pale green', '#98fb98'], ['light green', '#90ee90'],
+  ['mint', '#3eb489'], ['mint cream', '#f5fffa'], ['spring green', '#00ff7f'], ['medium sea green', '#3cb371'],
+  ['sea green', '#2e8b57'], ['emerald', '#50c878'], ['jade', '#00a86b'], ['kelly green', '#4cbb17'],
+  ['green', '#008000'], ['forest green', '#228b22'], ['hunter green', '#355e3b'], ['dark green', '#006400'],
+  ['pine green', '#01796f'], ['bottle green', '#006a4e'], ['teal', '#008080'], ['dark teal', '#014d4e'],
+  ['dark cyan', '#008b8b'], ['light sea green', '#20b2aa'], ['turquoise', '#40e0d0'], ['medium turquoise', '#48d1cc'],
+  ['aquamarine', '#7fffd4'], ['seafoam', '#93e9be'], ['aqua', '#00ffff'], ['light cyan', '#e0ffff'],
+  ['pale turquoise', '#afeeee'], ['powder blue', '#b0e0e6'], ['light blue', '#add8e6'], ['baby blue', '#89cff0'],
+  ['sky blue', '#87ceeb'], ['light sky blue', '#87cefa'], ['deep sky blue', '#00bfff'], ['cerulean', '#007ba7'],
+  ['azure', '#007fff'], ['dodger blue', '#1e90ff'], ['cornflower blue', '#6495ed'], ['steel blue', '#4682b4'],
+  ['light steel blue', '#b0c4de'], ['slate blue', '#6a5acd'], ['denim', '#1560bd'], ['royal blue', '#4169e1'],
+  ['cobalt', '#0047ab'], ['sapphire', '#0f52ba'], ['blue', '#0000ff'], ['medium blue', '#0000cd'],
+  ['dark blue', '#00008b'], ['navy', '#000080'], ['midnight blue', '#191970'], ['prussian blue', '#003153'],
+  ['ink blue', '#1f2a44'], ['slate gray', '#708090'], ['dark slate gray', '#2f4f4f'], ['blue gray', '#6699cc'],
+  ['periwinkle', '#ccccff'], ['lavender', '#e6e6fa'], ['lilac', '#c8a2c8'], ['thistle', '#d8bfd8'],
+  ['wisteria', '#c9a0dc'], ['plum', '#dda0dd'], ['orchid', '#da70d6'], ['medium purple', '#9370db'],
+  ['amethyst', '#9966cc'], ['violet', '#ee82ee'], ['blue violet', '#8a2be2'], ['dark violet', '#9400d3'],
+  ['purple', '#800080'], ['royal purple', '#7851a9'], ['indigo', '#4b0082'], ['eggplant', '#614051'],
+  ['dark plum', '#580f41'], ['mauve', '#e0b0ff'], ['magenta', '#ff00ff'], ['fuchsia', '#c154c1'],
+  ['dark magenta', '#8b008b'], ['raspberry', '#e30b5c'], ['deep pink', '#ff1493'], ['hot pink', '#ff69b4'],
+  ['pink', '#ffc0cb'], ['light pink', '#ffb6c1'], ['blush', '#de5d83'], ['rose', '#ff007f'],
+  ['dusty rose', '#c9a9a6'], ['old rose', '#c08081'], ['pale mauve', '#e0b0b0'], ['pale violet red', '#db7093'],
+  ['medium violet red', '#c71585'], ['cerise', '#de3163'], ['ruby', '#e0115f'], ['misty rose', '#ffe4e1']
+];
+
+// Hue relationships reported by getHarmonyType
+const HARMONY_TYPES = ['monochrome', 'analogous', 'complementary', 'triadic', 'mixed'];
+
+// Precompute Lab coordinates for the dictionary
+const NAMED_COLORS_LAB = NAMED_COLORS.map(([name, hex]) => ({
+  name,
+  lab: rgbToLab(...hexToRgb(hex))
+}));
+
+/**
+ * Parses a hex color code
+ * @param {string} hex - Hex color code (#rrggbb)
+ * @returns {Array<number>} [red, green, blue] (0-255)
+ */
+function hexToRgb(hex) {
+  return [1, 3, 5].map(offset => parseInt(hex.substring(offset, offset + 2), 16));
+}
+
+/**
+ * Converts sRGB to CIELAB (D65 white point)
+ * @param {number} red - Red value (0-255)
+ * @param {number} green - Green value (0-255)
+ * @param {number} blue - Blue value (0-255)
+ * @returns {Array<number>} [L, a, b]
+ */
+function rgbToLab(red, green, blue) {
+  // sRGB companding to linear light
+  const [r, g, b] = [red, green, blue].map(value => {
+    const channel = value / 255;
+    return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+  });
+
+  // Linear RGB to XYZ, normalized by the D65 reference white
+  const x = (r * 0.4124 + g * 0.3576 + b * 0.1805) / 0.95047;
+  const y = (r * 0.2126 + g * 0.7152 + b * 0.0722) / 1.0;
+  const z = (r * 0.0193 + g * 0.1192 + b * 0.9505) / 1.08883;
+
+  const f = t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+  const fx = f(x);
+  const fy = f(y);
+  const fz = f(z);
+
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Computes the CIEDE2000 color difference between two Lab colors
+ * @param {Array<number>} lab1 - [L, a, b]
+ * @param {Array<number>} lab2 - [L, a, b]
+ * @returns {number} Delta E (0 means identical)
+ */
+function deltaE2000([l1, a1, b1], [l2, a2, b2]) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const toDegrees = radians => (radians * 180) / Math.PI;
+
+  const c1 = Math.hypot(a1, b1);
+  const c2 = Math.hypot(a2, b2);
+  const cMean = (c1 + c2) / 2;
+  const g = 0.5 * (1 - Math.sqrt(Math.pow(cMean, 7) / (Math.pow(cMean, 7) + Math.pow(25, 7))));
+
+  const a1p = (1 + g) * a1;
+  const a2p = (1 + g) * a2;
+  const c1p = Math.hypot(a1p, b1);
+  const c2p = Math.hypot(a2p, b2);
+  const h1p = (toDegrees(Math.atan2(b1, a1p)) + 360) % 360;
+  const h2p = (toDegrees(Math.atan2(b2, a2p)) + 360) % 360;
+
+  const deltaL = l2 - l1;
+  const deltaC = c2p - c1p;
+  let deltaHue = 0;
+  if (c1p * c2p !== 0) {
+    deltaHue = h2p - h1p;
+    if (deltaHue > 180) deltaHue -= 360;
+    else if (deltaHue < -180) deltaHue += 360;
+  }
+  const deltaH = 2 * Math.sqrt(c1p * c2p) * Math.sin(toRadians(deltaHue / 2));
+
+  const lMean = (l1 + l2) / 2;
+  const cpMean = (c1p + c2p) / 2;
+  let hMean = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) {
+      hMean = h1p + h2p < 360 ? (h1p + h2p + 360) / 2 : (h1p + h2p - 360) / 2;
+    } else {
+      hMean = (h1p + h2p) / 2;
+    }
+  }
+
+  const t = 1
+    - 0.17 * Math.cos(toRadians(hMean - 30))
+    + 0.24 * Math.cos(toRadians(2 * hMean))
+    + 0.32 * Math.cos(toRadians(3 * hMean + 6))
+    - 0.20 * Math.cos(toRadians(4 * hMean - 63));
+
+  const sl = 1 + (0.015 * Math.pow(lMean - 50, 2)) / Math.sqrt(20 + Math.pow(lMean - 50, 2));
+  const sc = 1 + 0.045 * cpMean;
+  const sh = 1 + 0.015 * cpMean * t;
+  const deltaTheta = 30 * Math.exp(-Math.pow((hMean - 275) / 25, 2));
+  const rc = 2 * Math.sqrt(Math.pow(cpMean, 7) / (Math.pow(cpMean, 7) + Math.pow(25, 7)));
+  const rt = -rc * Math.sin(toRadians(2 * deltaTheta));
+
+  return Math.sqrt(
+    Math.pow(deltaL / sl, 2) +
+    Math.pow(deltaC / sc, 2) +
+    Math.pow(deltaH / sh, 2) +
+    rt * (deltaC / sc) * (deltaH / sh)
+  );
+}
+
+/**
+ * Finds the perceptually closest named color
+ * @param {Object} color - RGB color object
+ * @returns {string} Color name
+ */
+function getColorName(color) {
+  const lab = rgbToLab(color.red, color.green, color.blue);
+
+  let closest = NAMED_COLORS_LAB[0];
+  let closestDistance = Infinity;
+
+  NAMED_COLORS_LAB.forEach(candidate => {
+    const distance = deltaE2000(lab, candidate.lab);
+    if (distance < closestDistance) {
+      closest = candidate;
+      closestDistance = distance;
+    }
+  });
+
+  return closest.name;
+}
+
+/**
+ * Converts RGB to hue (degrees), saturation, and value (0-1)
+ * @param {Object} color - RGB color object
+ * @returns {Object} Hue, saturation, and value
+ */
+function rgbToHsv({ red, green, blue }) {
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const delta = max - min;
+
+  let hue = 0;
+  if (delta !== 0) {
+    if (max === red) hue = ((green - blue) / delta) % 6;
+    else if (max === green) hue = (blue - red) / delta + 2;
+    else hue = (red - green) / delta + 4;
+  }
+  hue = (hue * 60 + 360) % 360;
+
+  return {
+    hue,
+    saturation: max === 0 ? 0 : delta / max,
+    value: max / 255
+  };
+}
+
+/**
+ * Computes palette-level metrics from dominant colors
+ * @param {Array} colors - Dominant colors with RGB values and pixel fractions
+ * @returns {Object} Warmth (-1 to 1), saturation, brightness, contrast (0-1), and harmony type
+ */
+function analyzePalette(colors) {
+  const totalFraction = colors.reduce((sum, color) => sum + (color.pixelFraction || 0), 0);
+  if (!colors.length || !totalFraction) {
+    return { warmth: 0, saturation: 0, brightness: 0.5, contrast: 0, harmony: 'monochrome' };
+  }
+
+  const entries = colors.map(color => ({
+    ...rgbToHsv(color),
+    lightness: rgbToLab(color.red, color.green, color.blue)[0] / 100,
+    weight: (color.pixelFraction || 0) / totalFraction
+  }));
+
+  const weightedSum = key => entries.reduce((sum, entry) => sum + entry[key] * entry.weight, 0);
+  const lightnesses = entries.map(entry => entry.lightness);
+
+  // Warmth peaks at orange (30°) and bottoms out at cyan-blue (210°), scaled by saturation
+  const warmth = entries.reduce((sum, entry) =>
+    sum + Math.cos(((entry.hue - 30) * Math.PI) / 180) * entry.saturation * entry.weight, 0);
+
+  return {
+    warmth,
+    saturation: weightedSum('saturation'),
+    brightness: weightedSum('lightness'),
+    // Spread between the lightest and darkest palette entries
+    contrast: Math.max(...lightnesses) - Math.min(...lightnesses),
+    harmony: getHarmonyType(entries)
+  };
+}
+
+/**
+ * Classifies the hue relationship between the chromatic colors of a palette
+ * @param {Array} entries - Palette entries with hue, saturation, and weight
+ * @returns {string} monochrome, analogous, complementary, triadic, or mixed
+ */
+function getHarmonyType(entries) {
+  // Near-gray colors have no meaningful hue; ignore trace colors too
+  const hues = entries
+    .filter(entry => entry.saturation >= 0.2 && entry.weight >= 0.05)
+    .map(entry => entry.hue);
+
+  if (hues.length <= 1) return 'monochrome';
+
+  const hueDistance = (a, b) => {
+    const difference = Math.abs(a - b) % 360;
+    return difference > 180 ? 360 - difference : difference;
+  };
+
+  const distances = [];
+  for (let i = 0; i < hues.length; i++) {
+    for (let j = i + 1; j < hues.length; j++) {
+      distances.push(hueDistance(hues[i], hues[j]));
+    }
+  }
+
+  const maxDistance = Math.max(...distances);
+  if (maxDistance <= 12) return 'monochrome';
+  if (maxDistance <= 60) return 'analogous';
+  if (distances.some(distance => distance >= 150)) return 'complementary';
+  if (hues.length >= 3 && distances.filter(distance => distance >= 100 && distance <= 140).length >= 2) {
+    return 'triadic';
+  }
+  return 'mixed';
+}
+
+/**
+ * Describes palette metrics in words for prompts
+ * @param {Object} palette - Metrics from analyzePalette
+ * @returns {Array<string>} Adjectives such as ["warm", "vivid", "dark", "high-contrast"]
+ */
+function describePalette(palette) {
+  const words = [];
+
+  if (palette.warmth >= 0.2) words.push('warm');
+  else if (palette.warmth <= -0.2) words.push('cool');
+  else words.push('neutral');
+
+  if (palette.saturation >= 0.55) words.push('vivid');
+  else if (palette.saturation <= 0.2) words.push('muted');
+
+  if (palette.brightness >= 0.65) words.push('bright');
+  else if (palette.brightness <= 0.35) words.push('dark');
+
+  if (palette.contrast >= 0.5) words.push('high-contrast');
+  else if (palette.contrast <= 0.2) words.push('low-contrast');
+
+  return words;
+}
+
+module.exports = {
+  HARMONY_TYPES,
+  rgbToLab,
+  deltaE2000,
+  getColorName,
+  analyzePalette,
+  describePalette
+};
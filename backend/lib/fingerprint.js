@@ -0,0 +1,88 @@
+/**
+ * Image Fingerprints
+ * Content hashes for exact duplicates and perceptual hashes for near-duplicates
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Perceptual hashes at most this many bits apart are treated as the same picture
+const NEAR_DUPLICATE_DISTANCE = 6;
+
+// Maximum difference in average gray level (0-255) between near-duplicates;
+// dHash alone cannot tell flat images of different colors apart
+const NEAR_DUPLICATE_GRAY_DIFFERENCE = 16;
+
+/**
+ * Computes a SHA-256 hash of the image bytes
+ * @param {Buffer} imageBuffer - Buffer containing the image data
+ * @returns {string} Hex digest
+ */
+function contentHash(imageBuffer) {
+  return crypto.createHash('sha256').update(imageBuffer).digest('hex');
+}
+
+/**
+ * Computes a 64-bit difference hash (dHash) that survives re-encoding and resizing
+ * @param {Buffer} imageBuffer - Buffer containing the image data
+ * @returns {string} 18-character hex string: 16 for the dHash, 2 for the average gray level
+ */
+async function perceptualHash(imageBuffer) {
+  // 9x8 grayscale thumbnail: each row yields 8 left/right brightness comparisons
+  const pixels = await sharp(imageBuffer)
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = '';
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      byte = (byte << 1) | (left > right ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, '0');
+  }
+
+  const averageGray = Math.round(pixels.reduce((sum, value) => sum + value, 0) / pixels.length);
+  return hash + averageGray.toString(16).padStart(2, '0');
+}
+
+/**
+ * Counts the differing dHash bits between two perceptual hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} Hamming distance (0-64)
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < 16; i += 2) {
+    let diff = parseInt(a.substring(i, i + 2), 16) ^ parseInt(b.substring(i, i + 2), 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Checks whether two perceptual hashes describe the same picture
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {boolean} Whether the images are near-duplicates
+ */
+function isNearDuplicate(a, b) {
+  const grayDifference = Math.abs(parseInt(a.substring(16), 16) - parseInt(b.substring(16), 16));
+  return hammingDistance(a, b) <= NEAR_DUPLICATE_DISTANCE && grayDifference <= NEAR_DUPLICATE_GRAY_DIFFERENCE;
+}
+
+module.exports = {
+  contentHash,
+  perceptualHash,
+  hammingDistance,
+  isNearDuplicate
+};
@@ -0,0 +1,22 @@
+/**
+ * Image Store
+ * Bounded storage for uploaded images and their analysis results (see cache.js),
+ * shared by the analysis routes and the Spotify routes that reuse the photo
+ */
+
+const cache = require('./cache');
+
+// imageCache is keyed by content hash; entries hold the normalized image buffer
+// and its MIME type, metadata read at upload, and a perceptual hash for
+// near-duplicate lookup. Clips (animated GIFs and videos) also hold their
+// sampled keyframes and motion, and their buffer is the preview image
+// Both stay in memory even with the file backend: images are stored before moderation
+// can reject them, and entries hold GPS-derived metadata and place descriptions that
+// must not outlive the process
+const imageCache = cache.createCache('images', { maxEntries: 100, ttl: 24 * 60 * 60, persist: false });
+const analysisCache = cache.createCache('analysis', { maxEntries: 500, ttl: 24 * 60 * 60, persist: false });
+
+module.exports = {
+  imageCache,
+  analysisCache
+};
@@ -0,0 +1,358 @@
+/**
+ * Keyframe Service
+ * Samples keyframes from animated GIFs and short videos, measures how much the
+ * footage moves, and merges per-keyframe analyses with temporal weighting
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const { normalizeImage, createDecodeError } = require('./preprocess');
+const { analyzeImageBuffer } = require('./vision');
+const { combineAnalyses } = require('./album');
+const { computeMood } = require('./mood');
+const { computeTargets } = require('./audio-features');
+
+// Use a system ffmpeg when configured, otherwise the bundled binary
+const FFMPEG_PATH = process.env.FFMPEG_PATH || require('@ffmpeg-installer/ffmpeg').path;
+
+// Formats decoded with ffmpeg
+const VIDEO_FORMATS = ['mp4', 'webm'];
+
+// Maximum number of keyframes sent to the vision provider per clip
+const MAX_KEYFRAMES = 6;
+
+// Only the start of longer videos is sampled
+const MAX_CLIP_SECONDS = 60;
+
+// Motion is measured on small grayscale frames sampled at a fixed rate
+const MOTION_FPS = 4;
+const MOTION_SIZE = 32;
+const MAX_MOTION_FRAMES = MAX_CLIP_SECONDS * MOTION_FPS;
+
+// Mean absolute difference (0-1) between consecutive frames above which a change counts as a cut
+const CUT_THRESHOLD = 0.25;
+
+// Browsers play GIF frames with no or very short delays at 100ms
+const DEFAULT_GIF_DELAY = 100;
+
+// Frame change and cut rate at which each half of the energy score saturates
+const FULL_MOTION_CHANGE = 0.08;
+const FULL_CUTS_PER_MINUTE = 40;
+
+/**
+ * Checks whether an upload is a clip (video or animated GIF) rather than a still image
+ * @param {Buffer} buffer - Uploaded data
+ * @param {string|null} format - Format from sniffFormat
+ * @returns {boolean} Whether keyframes should be sampled
+ * @throws {Error} With code INVALID_IMAGE when a GIF cannot be read (e.g. truncated)
+ */
+async function isClip(buffer, format) {
+  if (VIDEO_FORMATS.includes(format)) return true;
+  if (format !== 'gif') return false;
+
+  try {
+    const { pages = 1 } = await sharp(buffer).metadata();
+    return pages > 1;
+  } catch (decodeError) {
+    throw createDecodeError(format, decodeError);
+  }
+}
+
+/**
+ * Samples keyframes from a clip and measures its motion
+ * @param {Buffer} buffer - Animated GIF or video data
+ * @param {string} format - gif, mp4, or webm
+ * @returns {Object} Keyframes (normalized JPEG buffer, time, weight), motion, duration, and a preview image
+ */
+async function extractClip(buffer, format) {
+  try {
+    const clip = format === 'gif'
+      ? await extractGifFrames(buffer)
+      : await extractVideoFrames(buffer, format);
+
+    // Animated GIFs preview as themselves; videos preview as their first keyframe
+    const preview = format === 'gif'
+      ? { buffer, mimeType: 'image/gif' }
+      : { buffer: clip.keyframes[0].buffer, mimeType: clip.keyframes[0].mimeType };
+
+    return {
+      keyframes: clip.keyframes.map(({ buffer: frame, time, weight }) => ({ buffer: frame, time, weight })),
+      motion: clip.motion,
+      duration: clip.duration,
+      preview: { ...preview, originalFormat: format }
+    };
+  } catch (decodeError) {
+    if (decodeError.status) throw decodeError;
+    const error = new Error(`Could not read ${format} clip: ${decodeError.message}`);
+    error.status = 422;
+    error.code = 'INVALID_CLIP';
+    throw error;
+  }
+}
+
+/**
+ * Reads motion frames and keyframes from an animated GIF with sharp
+ * @param {Buffer} buffer - Animated GIF data
+ * @returns {Object} Keyframes, motion, and duration in seconds
+ */
+async function extractGifFrames(buffer) {
+  const { pages, delay = [] } = await sharp(buffer).metadata();
+  const frameDelay = index => (delay[index] > 10 ? delay[index] : DEFAULT_GIF_DELAY) / 1000;
+
+  // sharp resizes every page, so all thumbnails come from a single decode
+  const thumbnails = await sharp(buffer, { pages: -1 })
+    .greyscale()
+    .resize(MOTION_SIZE, MOTION_SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  const frameSize = MOTION_SIZE * MOTION_SIZE;
+
+  // Long GIFs are thinned out; each sampled frame covers the frames skipped after it
+  const step = Math.ceil(pages / MAX_MOTION_FRAMES);
+  const frames = [];
+  let time = 0;
+
+  for (let page = 0; page < pages; page += step) {
+    let duration = 0;
+    for (let index = page; index < Math.min(page + step, pages); index++) {
+      duration += frameDelay(index);
+    }
+
+    frames.push({ page, time, duration, gray: thumbnails.subarray(page * frameSize, (page + 1) * frameSize) });
+    time += duration;
+  }
+
+  const { segments, motion } = measureMotion(frames, time);
+
+  const keyframes = [];
+  for (const segment of segments) {
+    const frame = frames[segment.middle];
+    const png = await sharp(buffer, { page: frame.page }).png().toBuffer();
+    const normalized = await normalizeImage(png);
+    keyframes.push({ ...normalized, time: frame.time, weight: segment.weight });
+  }
+
+  return { keyframes, motion, duration: time };
+}
+
+/**
+ * Reads motion frames and keyframes from a video with ffmpeg
+ * @param {Buffer} buffer - MP4 or WebM data
+ * @param {string} format - mp4 or webm
+ * @returns {Object} Keyframes, motion, and duration in seconds
+ */
+async function extractVideoFrames(buffer, format) {
+  // ffmpeg needs a seekable file for MP4 input
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'clip-'));
+  const input = path.join(directory, `input.${format}`);
+
+  try {
+    await fs.promises.writeFile(input, buffer);
+
+    const raw = await runFfmpeg([
+      '-t', String(MAX_CLIP_SECONDS),
+      '-i', input,
+      '-an',
+      '-vf', `fps=${MOTION_FPS},scale=${MOTION_SIZE}:${MOTION_SIZE},format=gray`,
+      '-f', 'rawvideo',
+      'pipe:1'
+    ]);
+
+    const frameSize = MOTION_SIZE * MOTION_SIZE;
+    const frames = [];
+    for (let offset = 0; offset + frameSize <= raw.length; offset += frameSize) {
+      frames.push({
+        time: frames.length / MOTION_FPS,
+        duration: 1 / MOTION_FPS,
+        gray: raw.subarray(offset, offset + frameSize)
+      });
+    }
+
+    if (!frames.length) {
+      throw new Error('no video frames found');
+    }
+
+    const duration = frames.length / MOTION_FPS;
+    const { segments, motion } = measureMotion(frames, duration);
+
+    const keyframes = [];
+    for (const segment of segments) {
+      const { time } = frames[segment.middle];
+      const jpeg = await runFfmpeg([
+        '-ss', time.toFixed(2),
+        '-i', input,
+        '-frames:v', '1',
+        '-f', 'image2pipe',
+        '-c:v', 'mjpeg',
+        '-q:v', '2',
+        'pipe:1'
+      ]);
+      const normalized = await normalizeImage(jpeg);
+      keyframes.push({ ...normalized, time, weight: segment.weight });
+    }
+
+    return { keyframes, motion, duration };
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Runs ffmpeg and collects its standard output
+ * @param {Array<string>} args - ffmpeg arguments (output should go to pipe:1)
+ * @returns {Buffer} Standard output
+ */
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    execFile(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', ...args], {
+      encoding: 'buffer',
+      maxBuffer: 64 * 1024 * 1024,
+      timeout: 30000
+    }, (error, stdout, stderr) => {
+      if (error) {
+        const message = stderr && stderr.length ? stderr.toString().trim().split('\n').pop() : error.message;
+        return reject(new Error(message));
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+/**
+ * Finds cuts between motion frames, splits the clip into shots, and scores its energy
+ * @param {Array} frames - Frames with time, duration, and a grayscale thumbnail
+ * @param {number} duration - Clip duration in seconds
+ * @returns {Object} Keyframe segments (middle frame index and weight) and the motion signal
+ */
+function measureMotion(frames, duration) {
+  const changes = frames.slice(1).map((frame, index) => {
+    const previous = frames[index].gray;
+    let sum = 0;
+    for (let i = 0; i < frame.gray.length; i++) {
+      sum += Math.abs(frame.gray[i] - previous[i]);
+    }
+    return sum / frame.gray.length / 255;
+  });
+
+  // Shots run between cuts; frame indexes are [start, end)
+  let shots = [];
+  let start = 0;
+  changes.forEach((change, index) => {
+    if (change > CUT_THRESHOLD) {
+      shots.push({ start, end: index + 1 });
+      start = index + 1;
+    }
+  });
+  shots.push({ start, end: frames.length });
+  const cuts = shots.length - 1;
+
+  // Continuous movement within shots, separate from the jumps at cuts
+  const withinShot = changes.filter(change => change <= CUT_THRESHOLD);
+  const averageChange = withinShot.length
+    ? withinShot.reduce((sum, change) => sum + change, 0) / withinShot.length
+    : 0;
+  const cutsPerMinute = duration > 0 ? (cuts / duration) * 60 : 0;
+
+  const energy = 0.5 * Math.min(1, averageChange / FULL_MOTION_CHANGE)
+    + 0.5 * Math.min(1, cutsPerMinute / FULL_CUTS_PER_MINUTE);
+
+  const shotDuration = shot => frames
+    .slice(shot.start, shot.end)
+    .reduce((sum, frame) => sum + frame.duration, 0);
+
+  // A long single shot still gets several keyframes: split the longest shots in half
+  while (shots.length < MAX_KEYFRAMES) {
+    const longest = shots.reduce((a, b) => (b.end - b.start > a.end - a.start ? b : a));
+    if (longest.end - longest.start < 2) break;
+    const middle = Math.floor((longest.start + longest.end) / 2);
+    shots = shots
+      .filter(shot => shot !== longest)
+      .concat([{ start: longest.start, end: middle }, { start: middle, end: longest.end }]);
+  }
+
+  // Keep the longest shots; each keyframe is weighted by the screen time it stands for
+  const chosen = shots
+    .map(shot => ({ ...shot, duration: shotDuration(shot) }))
+    .sort((a, b) => b.duration - a.duration)
+    .slice(0, MAX_KEYFRAMES)
+    .sort((a, b) => a.start - b.start);
+  const chosenDuration = chosen.reduce((sum, shot) => sum + shot.duration, 0);
+
+  const segments = chosen.map(shot => ({
+    middle: Math.floor((shot.start + shot.end - 1) / 2),
+    weight: chosenDuration ? shot.duration / chosenDuration : 1 / chosen.length
+  }));
+
+  return {
+    segments,
+    motion: {
+      energy: Math.round(energy * 100) / 100,
+      pace: getPace(energy),
+      cutsPerMinute: Math.round(cutsPerMinute),
+      averageChange: Math.round(averageChange * 1000) / 1000
+    }
+  };
+}
+
+/**
+ * Maps an energy score to a pace description
+ * @param {number} energy - Motion energy (0-1)
+ * @returns {string} still, calm, moderate, or fast
+ */
+function getPace(energy) {
+  if (energy < 0.05) return 'still';
+  if (energy < 0.3) return 'calm';
+  if (energy < 0.6) return 'moderate';
+  return 'fast';
+}
+
+/**
+ * Analyzes each keyframe and merges the results, weighting frames by screen time
+ * @param {Object} clip - Keyframes, motion, and duration from extractClip
+ * @param {Object} options - Options passed to analyzeImageBuffer (metadata, includeLocation)
+ * @returns {Object} Merged analysis with motion, keyframe summaries, and moderation across all frames
+ */
+async function analyzeClip(clip, options = {}) {
+  const analyses = [];
+  for (const keyframe of clip.keyframes) {
+    const analysis = await analyzeImageBuffer(keyframe.buffer, options);
+    analyses.push(analysis);
+
+    // One flagged frame rejects the clip; skip the remaining provider calls
+    if (analysis.moderation && analysis.moderation.flagged) break;
+  }
+
+  const weights = clip.keyframes.slice(0, analyses.length).map(keyframe => keyframe.weight);
+  const { analysis } = combineAnalyses(analyses, weights);
+
+  analysis.motion = { ...clip.motion, duration: Math.round(clip.duration * 10) / 10 };
+  
+  // Motion feeds the mood's energy and sets the tempo target, so recompute both now that it is known
+  analysis.mood = computeMood(analysis);
+  analysis.audioTargets = computeTargets(analysis);
+  analysis.keyframes = analyses.map((frame, index) => ({
+    time: Math.round(clip.keyframes[index].time * 10) / 10,
+    weight: weights[index],
+    keywords: frame.keywords.slice(0, 5)
+  }));
+
+  const flaggedCategories = [...new Set(analyses.flatMap(frame =>
+    frame.moderation && frame.moderation.flagged ? frame.moderation.categories : []))];
+  analysis.moderation = {
+    checked: analyses.every(frame => frame.moderation && frame.moderation.checked),
+    flagged: flaggedCategories.length > 0,
+    categories: flaggedCategories
+  };
+
+  return analysis;
+}
+
+module.exports = {
+  VIDEO_FORMATS,
+  isClip,
+  extractClip,
+  analyzeClip
+};
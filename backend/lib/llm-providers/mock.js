@@ -0,0 +1,130 @@
+/**
+ * Mock LLM Provider
+ * Deterministic, offline recommendations for tests and development without network access:
+ * the same prompt always yields the same songs
+ */
+
+const crypto = require('crypto');
+
+// Well-known songs spanning moods, so mocked recommendations resolve on Spotify
+const CATALOG = [
+  { title: 'Here Comes the Sun', artist: 'The Beatles', mood: 'hopeful' },
+  { title: 'Good Vibrations', artist: 'The Beach Boys', mood: 'joyful' },
+  { title: 'Dancing Queen', artist: 'ABBA', mood: 'euphoric' },
+  { title: 'Mr. Blue Sky', artist: 'Electric Light Orchestra', mood: 'uplifting' },
+  { title: 'Walking on Sunshine', artist: 'Katrina and the Waves', mood: 'cheerful' },
+  { title: 'Superstition', artist: 'Stevie Wonder', mood: 'groovy' },
+  { title: 'Don\'t Stop Me Now', artist: 'Queen', mood: 'energetic' },
+  { title: 'Blinding Lights', artist: 'The Weeknd', mood: 'driving' },
+  { title: 'Smells Like Teen Spirit', artist: 'Nirvana', mood: 'intense' },
+  { title: 'Seven Nation Army', artist: 'The White Stripes', mood: 'powerful' },
+  { title: 'Sabotage', artist: 'Beastie Boys', mood: 'frantic' },
+  { title: 'Teardrop', artist: 'Massive Attack', mood: 'brooding' },
+  { title: 'Hurt', artist: 'Johnny Cash', mood: 'melancholic' },
+  { title: 'Mad World', artist: 'Gary Jules', mood: 'somber' },
+  { title: 'Everybody Hurts', artist: 'R.E.M.', mood: 'sad' },
+  { title: 'Holocene', artist: 'Bon Iver', mood: 'reflective' },
+  { title: 'Clair de Lune', artist: 'Claude Debussy', mood: 'serene' },
+  { title: 'Gymnopédie No. 1', artist: 'Erik Satie', mood: 'calm' },
+  { title: 'Weightless', artist: 'Marconi Union', mood: 'tranquil' },
+  { title: 'Sunset Lover', artist: 'Petit Biscuit', mood: 'dreamy' },
+  { title: 'Riptide', artist: 'Vance Joy', mood: 'carefree' },
+  { title: 'Budapest', artist: 'George Ezra', mood: 'warm' },
+  { title: 'Dreams', artist: 'Fleetwood Mac', mood: 'wistful' },
+  { title: 'Wonderwall', artist: 'Oasis', mood: 'nostalgic' },
+  { title: 'Midnight City', artist: 'M83', mood: 'nocturnal' },
+  { title: 'Nightcall', artist: 'Kavinsky', mood: 'moody' },
+  { title: 'Take Five', artist: 'The Dave Brubeck Quartet', mood: 'cool' },
+  { title: 'So What', artist: 'Miles Davis', mood: 'laid-back' },
+  { title: 'Redbone', artist: 'Childish Gambino', mood: 'sultry' },
+  { title: 'Lose Yourself', artist: 'Eminem', mood: 'determined' }
+];
+
+// Number of songs the prompt asks for by default
+const DEFAULT_COUNT = 10;
+
+// Characters per streamed piece, roughly a few tokens
+const STREAM_CHUNK_SIZE = 16;
+
+/**
+ * Builds a recommendation response from the prompt alone
+ * @param {Array} messages - Chat messages (role and content)
+ * @returns {Object} JSON content in the shape the real providers return, and the mock model name
+ */
+async function complete(messages) {
+  const prompt = messages.map(message => message.content).join('\n');
+  const seed = crypto.createHash('sha256').update(prompt).digest();
+
+  // Every prompt template asks for "N song recommendations"
+  const countMatch = prompt.match(/(\d+) song recommendations/);
+  const requested = countMatch ? parseInt(countMatch[1], 10) : DEFAULT_COUNT;
+
+  // Album prompts list photos as "photo N [...]" and ask for a photo number per song
+  const photos = (prompt.match(/photo \d+ \[/g) || []).length;
+
+  // Refinement prompts list songs that must not come back
+  const excluded = prompt.split('Do not suggest any of these songs again:')[1] || '';
+  const candidates = CATALOG.filter(song => !excluded.includes(`"${song.title}" by ${song.artist}`));
+
+  // Walk the catalog from a prompt-dependent start with a prompt-dependent stride;
+  // a stride coprime with the catalog size visits every song before repeating
+  const count = Math.min(candidates.length, requested);
+  const start = seed.readUInt16BE(0) % candidates.length;
+  let stride = 1 + (seed[2] % Math.max(1, candidates.length - 1));
+  while (gcd(stride, candidates.length) !== 1) stride++;
+
+  const recommendations = [];
+  for (let i = 0; i < count; i++) {
+    const song = candidates[(start + i * stride) % candidates.length];
+    const recommendation = {
+      ...song,
+      reason: 'Chosen by the mock provider for offline testing'
+    };
+    if (photos) {
+      recommendation.photo = (i % photos) + 1;
+    }
+    recommendations.push(recommendation);
+  }
+
+  return {
+    content: JSON.stringify({ recommendations }),
+    model: 'mock-1'
+  };
+}
+
+/**
+ * Streams the same response as complete in small pieces, like a real model
+ * @param {Array} messages - Chat messages (role and content)
+ * @param {Object} parameters - Generation parameters (ignored)
+ * @param {Function} onDelta - Called with each piece of generated text
+ * @returns {Object} The full content and the mock model name
+ */
+async function stream(messages, parameters, onDelta) {
+  const response = await complete(messages);
+
+  for (let offset = 0; offset < response.content.length; offset += STREAM_CHUNK_SIZE) {
+    // Yield between pieces so each one can reach the client before the next
+    await new Promise(resolve => setImmediate(resolve));
+    onDelta(response.content.slice(offset, offset + STREAM_CHUNK_SIZE));
+  }
+
+  return response;
+}
+
+/**
+ * Greatest common divisor
+ * @param {number} a - Positive integer
+ * @param {number} b - Positive integer
+ * @returns {number} GCD of a and b
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+module.exports = {
+  name: 'mock',
+  model: 'mock-1',
+  complete,
+  stream,
+  isAvailable: () => true
+};
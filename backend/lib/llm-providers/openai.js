@@ -0,0 +1,109 @@
+/**
+ * OpenAI-Compatible LLM Provider
+ * Chat completions against the OpenAI API or any server that speaks the same protocol
+ * (llama.cpp, Ollama, LM Studio, vLLM, ...)
+ */
+
+const OpenAI = require('openai');
+
+/**
+ * Creates a provider bound to one endpoint
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name recorded with each response
+ * @param {string|undefined} options.baseURL - API base URL (defaults to OpenAI)
+ * @param {string|undefined} options.apiKey - API key; local servers usually accept any value
+ * @param {string} options.model - Default model
+ * @param {boolean} options.jsonMode - Whether to request response_format json_object
+ * @returns {Object} Provider with name, model, complete, stream, and isAvailable
+ */
+function createProvider({ name, baseURL, apiKey, model, jsonMode }) {
+  let client = null;
+
+  if (apiKey) {
+    client = new OpenAI({ apiKey, baseURL });
+  }
+
+  /**
+   * Sends a chat completion request
+   * @param {Array} messages - Chat messages (role and content)
+   * @param {Object} parameters - Generation parameters
+   * @param {number} parameters.temperature - Sampling temperature
+   * @param {number} parameters.maxTokens - Maximum tokens to generate
+   * @returns {Object} Generated content and the model that produced it
+   */
+  async function complete(messages, parameters) {
+    const response = await client.chat.completions.create(buildRequest(messages, parameters));
+
+    return {
+      content: response.choices[0].message.content,
+      // Servers report the model they actually ran, which may differ from an alias
+      model: response.model || model
+    };
+  }
+
+  /**
+   * Sends a streaming chat completion request
+   * @param {Array} messages - Chat messages (role and content)
+   * @param {Object} parameters - Generation parameters (as for complete)
+   * @param {Function} onDelta - Called with each piece of generated text as it arrives
+   * @returns {Object} The full generated content and the model that produced it
+   */
+  async function stream(messages, parameters, onDelta) {
+    const response = await client.chat.completions.create({
+      ...buildRequest(messages, parameters),
+      stream: true
+    });
+
+    let content = '';
+    let responseModel = model;
+    for await (const chunk of response) {
+      if (chunk.model) responseModel = chunk.model;
+
+      const delta = chunk.choices[0] && chunk.choices[0].delta.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+    }
+
+    return { content, model: responseModel };
+  }
+
+  /**
+   * Builds the chat completion request shared by complete and stream
+   * @param {Array} messages - Chat messages (role and content)
+   * @param {Object} parameters - Generation parameters
+   * @returns {Object} Request body for the chat completions API
+   */
+  function buildRequest(messages, { temperature, maxTokens }) {
+    if (!client) {
+      throw new Error(`LLM provider "${name}" has no API key configured`);
+    }
+
+    const request = {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+
+    // Not every OpenAI-compatible server supports JSON mode
+    if (jsonMode) {
+      request.response_format = { type: 'json_object' };
+    }
+
+    return request;
+  }
+
+  return {
+    name,
+    model,
+    complete,
+    stream,
+    isAvailable: () => !!client
+  };
+}
+
+module.exports = {
+  createProvider
+};
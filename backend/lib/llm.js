@@ -0,0 +1,117 @@
+/**
+ * LLM Service
+ * Sends chat completions to the configured provider: OpenAI, an OpenAI-compatible
+ * local server, or the deterministic mock
+ */
+
+const { createProvider } = require('./llm-providers/openai');
+const mockProvider = require('./llm-providers/mock');
+
+// 'openai', 'local' (OpenAI-compatible server), or 'mock'
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+
+// Generation parameters shared by every provider
+const LLM_TEMPERATURE = parseFloat(process.env.LLM_TEMPERATURE || '0.7');
+const LLM_MAX_TOKENS = parseInt(process.env.LLM_MAX_TOKENS || '600', 10);
+
+/**
+ * Reads an optional boolean environment variable
+ * @param {string} name - Variable name
+ * @param {boolean} fallback - Value when the variable is unset
+ * @returns {boolean} Parsed value
+ */
+function envFlag(name, fallback) {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : value === 'true';
+}
+
+// Only the selected provider is used, so both read the same LLM_* settings
+const providers = {
+  openai: createProvider({
+    name: 'openai',
+    baseURL: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    model: process.env.LLM_MODEL || 'gpt-3.5-turbo',
+    jsonMode: envFlag('LLM_JSON_MODE', true)
+  }),
+  local: createProvider({
+    name: 'local',
+    // Ollama's OpenAI-compatible endpoint; llama.cpp and LM Studio listen elsewhere
+    baseURL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    // Local servers ignore the key, but the client requires one
+    apiKey: process.env.LLM_API_KEY || 'local',
+    model: process.env.LLM_MODEL || 'llama3.1',
+    jsonMode: envFlag('LLM_JSON_MODE', false)
+  }),
+  mock: mockProvider
+};
+
+/**
+ * Gets the configured provider
+ * @returns {Object} Provider with name, model, complete, stream, and isAvailable
+ */
+function getProvider() {
+  const provider = providers[LLM_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${LLM_PROVIDER}" (expected openai, local, or mock)`);
+  }
+  return provider;
+}
+
+/**
+ * Generates a chat completion with the configured provider
+ * @param {Array} messages - Chat messages (role and content)
+ * @param {Object} parameters - Overrides for the configured generation parameters
+ * @param {number} parameters.temperature - Sampling temperature
+ * @param {number} parameters.maxTokens - Maximum tokens to generate
+ * @returns {Object} Generated content plus the provider and model that produced it
+ */
+async function complete(messages, parameters = {}) {
+  const provider = getProvider();
+  const { content, model } = await provider.complete(messages, {
+    temperature: LLM_TEMPERATURE,
+    maxTokens: LLM_MAX_TOKENS,
+    ...parameters
+  });
+
+  return { content, provider: provider.name, model };
+}
+
+/**
+ * Generates a chat completion with the configured provider, reporting text as it is generated
+ * @param {Array} messages - Chat messages (role and content)
+ * @param {Object} parameters - Overrides for the configured generation parameters (as for complete)
+ * @param {Function} onDelta - Called with each piece of generated text
+ * @returns {Object} The full generated content plus the provider and model that produced it
+ */
+async function stream(messages, parameters, onDelta) {
+  const provider = getProvider();
+  const { content, model } = await provider.stream(messages, {
+    temperature: LLM_TEMPERATURE,
+    maxTokens: LLM_MAX_TOKENS,
+    ...parameters
+  }, onDelta);
+
+  return { content, provider: provider.name, model };
+}
+
+/**
+ * Describes the configured provider for diagnostics and cache keys
+ * @returns {Object} Provider name, model, availability, and generation parameters
+ */
+function getStatus() {
+  const provider = providers[LLM_PROVIDER];
+  return {
+    provider: LLM_PROVIDER,
+    model: provider ? provider.model : null,
+    available: provider ? provider.isAvailable() : false,
+    temperature: LLM_TEMPERATURE,
+    maxTokens: LLM_MAX_TOKENS
+  };
+}
+
+module.exports = {
+  complete,
+  stream,
+  getStatus
+};
@@ -0,0 +1,78 @@
+/**
+ * Locale Service
+ * Resolves the listener's locale from an explicit choice or the Accept-Language header,
+ * so recommendations can be written in their language and tracks checked in their market
+ */
+
+// Used when neither the client nor its headers name a usable locale
+const DEFAULT_LOCALE = 'en';
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+/**
+ * Parses a BCP 47 language tag
+ * @param {string} tag - Tag such as "pt-BR" or "fr"
+ * @returns {Object|null} Locale with tag, language, region (ISO 3166-1 alpha-2 or null),
+ * languageName, and regionName, or null if the tag is not a known language
+ */
+function parseLocale(tag) {
+  if (typeof tag !== 'string' || !tag.trim() || tag.trim() === '*') {
+    return null;
+  }
+
+  let locale;
+  try {
+    locale = new Intl.Locale(tag.trim());
+  } catch (error) {
+    return null;
+  }
+
+  // DisplayNames echoes codes it does not know
+  const languageName = languageNames.of(locale.language);
+  if (!languageName || languageName === locale.language) {
+    return null;
+  }
+
+  // Spotify markets are country codes; numeric areas such as 419 (Latin America) are not
+  const region = /^[A-Z]{2}$/.test(locale.region || '') ? locale.region : null;
+
+  return {
+    tag: region ? `${locale.language}-${region}` : locale.language,
+    language: locale.language,
+    region,
+    languageName,
+    regionName: region ? regionNames.of(region) : null
+  };
+}
+
+/**
+ * Picks the first usable locale from a list of candidates, most preferred first
+ * @param {Array<string>} candidates - Explicit choice followed by the Accept-Language tags
+ * @returns {Object} Parsed locale (see parseLocale), English when none is usable
+ */
+function resolveLocale(candidates) {
+  for (const candidate of candidates) {
+    const locale = parseLocale(candidate);
+    if (locale) {
+      return locale;
+    }
+  }
+  return parseLocale(DEFAULT_LOCALE);
+}
+
+/**
+ * Gets the Spotify market for a locale
+ * @param {Object|null} locale - Parsed locale
+ * @returns {string|null} Country code, or null when the locale names no region
+ */
+function getMarket(locale) {
+  return locale ? locale.region : null;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  parseLocale,
+  resolveLocale,
+  getMarket
+};
@@ -0,0 +1,102 @@
+/**
+ * Location Service
+ * Reads EXIF GPS and capture time from photos and turns them into a place description
+ */
+
+const exifr = require('exifr');
+const { country_reverse_geocoding: createGeocoder } = require('country-reverse-geocoding');
+
+// Offline country lookup from coordinates
+const geocoder = createGeocoder();
+
+/**
+ * Reads GPS coordinates and capture time from an image buffer
+ * @param {Buffer} imageBuffer - Buffer containing the image data
+ * @param {Object} options - Reading options
+ * @param {boolean} options.includeLocation - Whether to read GPS coordinates
+ * @returns {Object} Metadata with latitude, longitude, and capturedAt (any may be null)
+ */
+async function readPhotoMetadata(imageBuffer, { includeLocation = true } = {}) {
+  const metadata = { latitude: null, longitude: null, capturedAt: null };
+
+  try {
+    if (includeLocation) {
+      const gps = await exifr.gps(imageBuffer);
+      if (gps && Number.isFinite(gps.latitude) && Number.isFinite(gps.longitude)) {
+        metadata.latitude = gps.latitude;
+        metadata.longitude = gps.longitude;
+      }
+    }
+
+    // Keep the raw EXIF string: it is wall-clock time where the photo was taken
+    const exif = await exifr.parse(imageBuffer, {
+      pick: ['DateTimeOriginal', 'CreateDate'],
+      reviveValues: false
+    });
+    if (exif) {
+      metadata.capturedAt = exif.DateTimeOriginal || exif.CreateDate || null;
+    }
+  } catch (error) {
+    // Missing or malformed EXIF is common and not an error for our purposes
+    console.log('No readable EXIF metadata:', error.message);
+  }
+
+  return metadata;
+}
+
+/**
+ * Builds a place description from photo metadata and a detected landmark
+ * @param {Object} metadata - Metadata from readPhotoMetadata
+ * @param {Object|null} landmark - Detected landmark with description and coordinates
+ * @returns {Object|null} Place with country, landmark, and time of day, or null if nothing is known
+ */
+function buildPlace(metadata = {}, landmark = null) {
+  // Prefer the photo's own GPS position, falling back to the landmark's location
+  const latitude = metadata.latitude != null ? metadata.latitude : landmark && landmark.latitude;
+  const longitude = metadata.longitude != null ? metadata.longitude : landmark && landmark.longitude;
+
+  const country = latitude != null && longitude != null
+    ? geocoder.get_country(latitude, longitude)
+    : null;
+
+  const place = {
+    country: country ? country.name : null,
+    countryCode: country ? country.code : null,
+    landmark: landmark ? landmark.description : null,
+    localTime: formatLocalTime(metadata.capturedAt),
+    timeOfDay: getTimeOfDay(metadata.capturedAt)
+  };
+
+  return place.country || place.landmark || place.timeOfDay ? place : null;
+}
+
+/**
+ * Extracts HH:MM from an EXIF date string ("YYYY:MM:DD HH:MM:SS")
+ * @param {string|null} exifDate - EXIF date string
+ * @returns {string|null} Local time as HH:MM
+ */
+function formatLocalTime(exifDate) {
+  const match = typeof exifDate === 'string' && exifDate.match(/(\d{2}):(\d{2}):\d{2}$/);
+  return match ? `${match[1]}:${match[2]}` : null;
+}
+
+/**
+ * Maps an EXIF capture time to a time-of-day bucket
+ * @param {string|null} exifDate - EXIF date string
+ * @returns {string|null} morning, afternoon, evening, or night
+ */
+function getTimeOfDay(exifDate) {
+  const localTime = formatLocalTime(exifDate);
+  if (!localTime) return null;
+
+  const hour = parseInt(localTime.substring(0, 2), 10);
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 21) return 'evening';
+  return 'night';
+}
+
+module.exports = {
+  readPhotoMetadata,
+  buildPlace
+};
@@ -0,0 +1,29 @@
+/**
+ * Math Utilities
+ * Numeric helpers shared by the mood model and the audio-feature targets
+ */
+
+/**
+ * Clamps a value to a range, treating non-numbers as 0
+ * @param {number} value - Value to clamp
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Clamped value
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, Number(value) || 0));
+}
+
+/**
+ * Rounds to two decimals for display and stable comparisons, passing null through
+ * @param {number|null} value - Value to round
+ * @returns {number|null} Rounded value
+ */
+function round(value) {
+  return value == null ? null : Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  clamp,
+  round
+};
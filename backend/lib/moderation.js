@@ -0,0 +1,116 @@
+/**
+ * Moderation Service
+ * Checks Vision SafeSearch ratings against configurable per-category thresholds
+ */
+
+// Vision likelihoods from least to most likely
+const LIKELIHOODS = ['UNKNOWN', 'VERY_UNLIKELY', 'UNLIKELY', 'POSSIBLE', 'LIKELY', 'VERY_LIKELY'];
+
+// SafeSearch categories and the rating at which an image is rejected by default
+// (OFF disables a category)
+const DEFAULT_THRESHOLDS = {
+  adult: 'LIKELY',
+  violence: 'LIKELY',
+  racy: 'VERY_LIKELY',
+  medical: 'OFF',
+  spoof: 'OFF'
+};
+
+/**
+ * Reads the threshold for each category from SAFE_SEARCH_<CATEGORY> (e.g. SAFE_SEARCH_ADULT=POSSIBLE)
+ * @returns {Object} Threshold likelihood (or OFF) per category
+ */
+function getThresholds() {
+  return Object.keys(DEFAULT_THRESHOLDS).reduce((acc, category) => {
+    const configured = (process.env[`SAFE_SEARCH_${category.toUpperCase()}`] || '').toUpperCase();
+    if (configured && configured !== 'OFF' && !LIKELIHOODS.includes(configured)) {
+      console.warn(`Ignoring invalid SAFE_SEARCH_${category.toUpperCase()} value: ${configured}`);
+    }
+    acc[category] = configured === 'OFF' || LIKELIHOODS.includes(configured)
+      ? configured
+      : DEFAULT_THRESHOLDS[category];
+    return acc;
+  }, {});
+}
+
+/**
+ * Checks whether any category is moderated
+ * @returns {boolean} Whether at least one threshold is not OFF
+ */
+function isEnabled() {
+  return Object.values(getThresholds()).some(threshold => threshold !== 'OFF');
+}
+
+/**
+ * Checks whether images that could not be moderated must be refused (MODERATION_REQUIRED=true)
+ * By default they are analyzed anyway and marked as unchecked
+ * @returns {boolean} Whether moderation is mandatory
+ */
+function isRequired() {
+  return process.env.MODERATION_REQUIRED === 'true';
+}
+
+/**
+ * Compares SafeSearch ratings with the configured thresholds
+ * @param {Object|null} safeSearch - Likelihood per category, or null if the provider has no SafeSearch
+ * @returns {Object} Whether the image was checked and flagged, and which categories triggered
+ */
+function evaluateSafeSearch(safeSearch) {
+  if (!safeSearch) {
+    return { checked: false, flagged: false, categories: [] };
+  }
+
+  const thresholds = getThresholds();
+  const categories = Object.keys(thresholds).filter(category => {
+    const threshold = thresholds[category];
+    if (threshold === 'OFF') return false;
+    return LIKELIHOODS.indexOf(safeSearch[category]) >= LIKELIHOODS.indexOf(threshold);
+  });
+
+  return { checked: true, flagged: categories.length > 0, categories };
+}
+
+/**
+ * Creates the error thrown when an image fails moderation
+ * @param {Object} moderation - Result from evaluateSafeSearch
+ * @returns {Error} Error with status 422 and code IMAGE_FLAGGED
+ */
+function createFlaggedError(moderation) {
+  const error = new Error(`Image rejected by content moderation (${moderation.categories.join(', ')})`);
+  error.status = 422;
+  error.code = 'IMAGE_FLAGGED';
+  error.categories = moderation.categories;
+  return error;
+}
+
+/**
+ * Creates the error thrown when an image could not be moderated although moderation is required
+ * (e.g. Google Cloud Vision failed and the local analyzer, which has no SafeSearch, took over)
+ * @returns {Error} Error with status 503 and code MODERATION_UNAVAILABLE
+ */
+function createUncheckedError() {
+  const error = new Error('Content moderation is unavailable right now; please try again later');
+  error.status = 503;
+  error.code = 'MODERATION_UNAVAILABLE';
+  error.categories = [];
+  return error;
+}
+
+/**
+ * Checks whether an error rejects an image on moderation grounds
+ * @param {Error} error - Error thrown while analyzing an image
+ * @returns {boolean} Whether the image was flagged or could not be moderated
+ */
+function isModerationError(error) {
+  return error.code === 'IMAGE_FLAGGED' || error.code === 'MODERATION_UNAVAILABLE';
+}
+
+module.exports = {
+  getThresholds,
+  isEnabled,
+  isRequired,
+  evaluateSafeSearch,
+  createFlaggedError,
+  createUncheckedError,
+  isModerationError
+};
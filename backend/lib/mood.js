@@ -0,0 +1,305 @@
+/**
+ * Mood Service
+ * Estimates continuous valence (negative to positive) and energy (calm to intense)
+ * from a whole analysis, keeping each feature's contribution for explainability
+ */
+
+const { clamp, round } = require('./math');
+
+// Valence and energy (0-1) evoked by words found in labels
+const MOOD_WORDS = {
+  party: [0.85, 0.9], celebration: [0.9, 0.85], festival: [0.85, 0.9], concert: [0.8, 0.95],
+  dance: [0.85, 0.9], wedding: [0.9, 0.6], birthday: [0.9, 0.7], fun: [0.85, 0.75],
+  smile: [0.9, 0.6], laugh: [0.9, 0.7], friendship: [0.85, 0.6], love: [0.9, 0.5],
+  beach: [0.8, 0.55], summer: [0.85, 0.65], sunshine: [0.85, 0.6], sunny: [0.85, 0.6],
+  sunset: [0.7, 0.3], sunrise: [0.75, 0.35], flower: [0.8, 0.4], garden: [0.75, 0.35],
+  spring: [0.8, 0.5], holiday: [0.85, 0.6], vacation: [0.85, 0.55], travel: [0.75, 0.6],
+  dog: [0.8, 0.6], cat: [0.75, 0.35], baby: [0.85, 0.45], child: [0.8, 0.65],
+  sport: [0.7, 0.9], running: [0.65, 0.9], race: [0.6, 0.95], game: [0.7, 0.8],
+  crowd: [0.6, 0.85], traffic: [0.4, 0.75], city: [0.55, 0.7], street: [0.5, 0.65],
+  nightlife: [0.7, 0.85], neon: [0.6, 0.8], light: [0.65, 0.55], fireworks: [0.85, 0.9],
+  night: [0.45, 0.35], darkness: [0.3, 0.3], moon: [0.55, 0.25], star: [0.65, 0.25],
+  rain: [0.35, 0.3], fog: [0.35, 0.2], mist: [0.4, 0.2], cloud: [0.5, 0.35],
+  storm: [0.25, 0.85], thunder: [0.25, 0.9], lightning: [0.3, 0.9], winter: [0.45, 0.3],
+  snow: [0.6, 0.3], ice: [0.45, 0.3], autumn: [0.55, 0.35], leaf: [0.6, 0.35],
+  forest: [0.6, 0.3], tree: [0.6, 0.3], mountain: [0.65, 0.45], lake: [0.65, 0.25],
+  river: [0.6, 0.35], sea: [0.65, 0.45], ocean: [0.65, 0.5], wave: [0.65, 0.7],
+  desert: [0.45, 0.35], field: [0.65, 0.3], meadow: [0.7, 0.3], sky: [0.65, 0.4],
+  ruin: [0.3, 0.25], cemetery: [0.15, 0.15], grave: [0.15, 0.15], funeral: [0.1, 0.2],
+  abandoned: [0.2, 0.2], loneliness: [0.2, 0.2], fire: [0.45, 0.85], war: [0.1, 0.9],
+  church: [0.55, 0.25], candle: [0.6, 0.2], coffee: [0.65, 0.4], book: [0.6, 0.25],
+  car: [0.55, 0.7], motorcycle: [0.6, 0.85], guitar: [0.7, 0.6], music: [0.75, 0.7]
+};
+
+// Broad scene types with the baseline mood each one sets
+const SCENE_TYPES = {
+  nature: { words: ['nature', 'landscape', 'forest', 'mountain', 'lake', 'field', 'tree', 'plant', 'grass', 'hill', 'valley'], valence: 0.65, energy: 0.3 },
+  water: { words: ['beach', 'sea', 'ocean', 'coast', 'water', 'river', 'wave', 'shore', 'pool'], valence: 0.7, energy: 0.45 },
+  urban: { words: ['city', 'street', 'building', 'architecture', 'urban', 'road', 'skyscraper', 'downtown', 'traffic'], valence: 0.5, energy: 0.65 },
+  social: { words: ['people', 'crowd', 'party', 'friend', 'event', 'wedding', 'festival', 'concert', 'fun'], valence: 0.75, energy: 0.75 },
+  indoor: { words: ['room', 'interior', 'furniture', 'table', 'bedroom', 'kitchen', 'home', 'living room'], valence: 0.55, energy: 0.3 },
+  night: { words: ['night', 'darkness', 'midnight', 'moon', 'evening'], valence: 0.45, energy: 0.35 },
+  sport: { words: ['sport', 'sports', 'athlete', 'stadium', 'ball', 'game', 'running', 'competition'], valence: 0.65, energy: 0.9 }
+};
+
+// Valence and energy of each face emotion at full likelihood
+const FACE_EMOTIONS = {
+  joy: [0.9, 0.65],
+  sorrow: [0.15, 0.2],
+  anger: [0.15, 0.85],
+  surprise: [0.65, 0.8]
+};
+
+// How strongly each feature counts when it is present (before its own confidence)
+const FEATURE_WEIGHTS = {
+  prior: 0.3,
+  labels: 1.0,
+  scene: 0.6,
+  palette: 0.8,
+  brightness: 0.6,
+  faces: 1.5,
+  motion: 1.2
+};
+
+/**
+ * Estimates the mood of an analysis
+ * @param {Object} analysis - Analysis with labels, emotions, palette, and optional motion
+ * @returns {Object} Valence and energy (0-1), a mood label, and per-feature contributions
+ */
+function computeMood(analysis) {
+  const estimates = [
+    // Neutral prior so weak evidence does not push the mood to an extreme
+    { feature: 'prior', valence: 0.5, energy: 0.5, confidence: 1, detail: 'neutral starting point' },
+    fromLabels(analysis.labels || []),
+    fromScene(analysis.labels || []),
+    fromPalette(analysis.palette),
+    fromBrightness(analysis.palette),
+    fromFaces(analysis.emotions || []),
+    fromMotion(analysis.motion)
+  ].filter(Boolean);
+
+  const combine = dimension => {
+    const weighted = estimates.filter(estimate => estimate[dimension] != null);
+    const total = weighted.reduce((sum, estimate) => sum + weightOf(estimate), 0);
+    const value = weighted.reduce((sum, estimate) => sum + estimate[dimension] * weightOf(estimate), 0) / total;
+    return { value, total };
+  };
+
+  const valence = combine('valence');
+  const energy = combine('energy');
+
+  const contributions = estimates.map(estimate => ({
+    feature: estimate.feature,
+    valence: round(estimate.valence),
+    energy: round(estimate.energy),
+    // Share of the final value this feature accounts for
+    valenceShare: estimate.valence != null ? round(weightOf(estimate) / valence.total) : 0,
+    energyShare: estimate.energy != null ? round(weightOf(estimate) / energy.total) : 0,
+    detail: estimate.detail
+  }));
+
+  return {
+    valence: round(valence.value),
+    energy: round(energy.value),
+    label: getMoodLabel(valence.value, energy.value),
+    contributions
+  };
+}
+
+/**
+ * Gives the effective weight of a feature estimate
+ * @param {Object} estimate - Estimate with feature name and confidence (0-1)
+ * @returns {number} Weight
+ */
+function weightOf(estimate) {
+  return FEATURE_WEIGHTS[estimate.feature] * estimate.confidence;
+}
+
+/**
+ * Averages the mood of words found in labels, weighted by label score
+ * @param {Array} labels - Labels with description and score
+ * @returns {Object|null} Estimate, or null if no label carries a mood
+ */
+function fromLabels(labels) {
+  const matches = [];
+  labels.forEach(label => {
+    labelWords(label.description).forEach(word => {
+      if (MOOD_WORDS[word]) {
+        matches.push({ word, score: label.score || 0.5, mood: MOOD_WORDS[word] });
+      }
+    });
+  });
+
+  if (!matches.length) return null;
+
+  const total = matches.reduce((sum, match) => sum + match.score, 0);
+  return {
+    feature: 'labels',
+    valence: matches.reduce((sum, match) => sum + match.mood[0] * match.score, 0) / total,
+    energy: matches.reduce((sum, match) => sum + match.mood[1] * match.score, 0) / total,
+    confidence: Math.min(1, total),
+    detail: [...new Set(matches.map(match => match.word))].join(', ')
+  };
+}
+
+/**
+ * Picks the scene type best supported by the labels
+ * @param {Array} labels - Labels with description and score
+ * @returns {Object|null} Estimate, or null if no scene type matches
+ */
+function fromScene(labels) {
+  let best = null;
+
+  Object.keys(SCENE_TYPES).forEach(scene => {
+    const score = labels.reduce((sum, label) => {
+      const description = String(label.description || '').toLowerCase();
+      const words = labelWords(description);
+      const matched = SCENE_TYPES[scene].words.some(word => word === description || words.includes(word));
+      return matched ? sum + (label.score || 0.5) : sum;
+    }, 0);
+
+    if (score > 0 && (!best || score > best.score)) {
+      best = { scene, score };
+    }
+  });
+
+  if (!best) return null;
+
+  return {
+    feature: 'scene',
+    valence: SCENE_TYPES[best.scene].valence,
+    energy: SCENE_TYPES[best.scene].energy,
+    confidence: Math.min(1, best.score),
+    detail: best.scene
+  };
+}
+
+/**
+ * Reads mood from palette warmth, saturation, contrast, and harmony
+ * @param {Object|null} palette - Palette metrics
+ * @returns {Object|null} Estimate, or null without a palette
+ */
+function fromPalette(palette) {
+  if (!palette) return null;
+
+  const warmth = clamp(palette.warmth, -1, 1);
+  const saturation = clamp(palette.saturation, 0, 1);
+  const contrast = clamp(palette.contrast, 0, 1);
+
+  // Warm, saturated colors read as positive; saturation and contrast add intensity
+  const valence = 0.5 + 0.25 * warmth + 0.2 * (saturation - 0.4);
+  let energy = 0.25 + 0.4 * saturation + 0.3 * contrast;
+  if (palette.harmony === 'complementary' || palette.harmony === 'triadic') energy += 0.1;
+  if (palette.harmony === 'monochrome') energy -= 0.1;
+
+  return {
+    feature: 'palette',
+    valence: clamp(valence, 0, 1),
+    energy: clamp(energy, 0, 1),
+    confidence: 1,
+    detail: `warmth ${round(warmth)}, saturation ${round(saturation)}, contrast ${round(contrast)}, ${palette.harmony || 'unknown'} harmony`
+  };
+}
+
+/**
+ * Reads mood from overall brightness: dark images feel heavier and quieter
+ * @param {Object|null} palette - Palette metrics
+ * @returns {Object|null} Estimate, or null without a palette
+ */
+function fromBrightness(palette) {
+  if (!palette || !Number.isFinite(palette.brightness)) return null;
+
+  const brightness = clamp(palette.brightness, 0, 1);
+  return {
+    feature: 'brightness',
+    valence: 0.2 + 0.65 * brightness,
+    energy: 0.3 + 0.4 * brightness,
+    confidence: 1,
+    detail: `brightness ${round(brightness)}`
+  };
+}
+
+/**
+ * Blends face emotions, weighted by how strongly each is expressed
+ * @param {Array} emotions - Per-face emotion likelihoods (0-1)
+ * @returns {Object|null} Estimate, or null without expressive faces
+ */
+function fromFaces(emotions) {
+  let total = 0;
+  let valence = 0;
+  let energy = 0;
+  const expressed = new Set();
+
+  emotions.forEach(face => {
+    Object.keys(FACE_EMOTIONS).forEach(emotion => {
+      const likelihood = Number(face[emotion]) || 0;
+      if (likelihood <= 0) return;
+      total += likelihood;
+      valence += FACE_EMOTIONS[emotion][0] * likelihood;
+      energy += FACE_EMOTIONS[emotion][1] * likelihood;
+      if (likelihood >= 0.5) expressed.add(emotion);
+    });
+  });
+
+  if (!total) return null;
+
+  return {
+    feature: 'faces',
+    valence: valence / total,
+    energy: energy / total,
+    // Strongest single expression sets the confidence
+    confidence: Math.min(1, Math.max(...emotions.map(face => Math.max(...Object.values(face).map(Number))))),
+    detail: `${emotions.length} face${emotions.length === 1 ? '' : 's'}${expressed.size ? `: ${[...expressed].join(', ')}` : ''}`
+  };
+}
+
+/**
+ * Uses clip motion as an energy signal (motion says nothing about valence)
+ * @param {Object|undefined} motion - Motion with energy (0-1) and pace
+ * @returns {Object|null} Estimate, or null for still images
+ */
+function fromMotion(motion) {
+  if (!motion || !Number.isFinite(motion.energy)) return null;
+
+  return {
+    feature: 'motion',
+    valence: null,
+    energy: clamp(motion.energy, 0, 1),
+    confidence: 1,
+    detail: `${motion.pace} clip`
+  };
+}
+
+/**
+ * Names the valence/energy region
+ * @param {number} valence - Valence (0-1)
+ * @param {number} energy - Energy (0-1)
+ * @returns {string} upbeat, peaceful, tense, melancholic, energetic, calm, or neutral
+ */
+function getMoodLabel(valence, energy) {
+  const neutralValence = Math.abs(valence - 0.5) < 0.08;
+  const neutralEnergy = Math.abs(energy - 0.5) < 0.08;
+
+  if (neutralValence && neutralEnergy) return 'neutral';
+  if (neutralValence) return energy >= 0.5 ? 'energetic' : 'calm';
+  if (valence >= 0.5) return energy >= 0.5 ? 'upbeat' : 'peaceful';
+  return energy >= 0.5 ? 'tense' : 'melancholic';
+}
+
+/**
+ * Splits a label description into lowercase singular words
+ * @param {string} description - Label description
+ * @returns {Array<string>} Words
+ */
+function labelWords(description) {
+  return String(description || '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean)
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+module.exports = {
+  computeMood,
+  getMoodLabel
+};
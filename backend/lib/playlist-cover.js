@@ -0,0 +1,129 @@
+/**
+ * Playlist Cover
+ * Turns an uploaded photo into a Spotify playlist cover: cropped square, optionally with
+ * a strip of its extracted palette along the bottom, and re-encoded as a JPEG small enough
+ * for Spotify's upload limit
+ */
+
+const sharp = require('sharp');
+const axios = require('axios');
+
+// Scope that allows uploading playlist covers
+const COVER_SCOPE = 'ugc-image-upload';
+
+// Spotify rejects covers whose Base64-encoded JPEG is larger than this (bytes)
+const MAX_COVER_SIZE = 256 * 1024;
+
+// Cover edges tried in turn (Spotify shows covers at up to 640px), and the JPEG qualities
+// tried at each edge until the cover fits
+const COVER_DIMENSIONS = [640, 480, 320];
+const JPEG_QUALITIES = [90, 80, 70, 60];
+
+// Palette strip: its height as a share of the cover, and how many colors it shows
+const PALETTE_HEIGHT = 0.12;
+const PALETTE_COLORS = 5;
+
+const HEX_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Uploads are small, but Spotify can be slow to accept them
+const REQUEST_TIMEOUT = 15000;
+
+/**
+ * Creates a cover from a photo
+ * @param {Buffer} imageBuffer - Stored image (a clip's preview for animated uploads)
+ * @param {Object} options - Cover options
+ * @param {Array|null} options.colors - Analysis colors (with hex) to overlay, most dominant first
+ * @returns {Buffer} JPEG cover
+ * @throws {Error} When the photo cannot be decoded or no encoding fits the limit
+ */
+async function createCover(imageBuffer, { colors = null } = {}) {
+  const swatches = (colors || [])
+    .map(color => color.hex)
+    .filter(hex => HEX_PATTERN.test(hex || ''))
+    .slice(0, PALETTE_COLORS);
+
+  for (const dimension of COVER_DIMENSIONS) {
+    // Render once losslessly, then find the best quality that fits
+    const square = await renderSquare(imageBuffer, dimension, swatches);
+
+    for (const quality of JPEG_QUALITIES) {
+      const jpeg = await sharp(square).jpeg({ quality, mozjpeg: true }).toBuffer();
+      if (Math.ceil(jpeg.length / 3) * 4 <= MAX_COVER_SIZE) {
+        return jpeg;
+      }
+    }
+  }
+
+  throw new Error('The photo could not be compressed below Spotify\'s 256 KB cover limit');
+}
+
+/**
+ * Crops a photo to a square around its most interesting region
+ * @param {Buffer} imageBuffer - Image data
+ * @param {number} dimension - Edge of the square in pixels
+ * @param {Array<string>} swatches - Hex colors for the palette strip (none for no strip)
+ * @returns {Buffer} PNG of the square
+ */
+async function renderSquare(imageBuffer, dimension, swatches) {
+  let pipeline = sharp(imageBuffer)
+    .resize(dimension, dimension, { fit: 'cover', position: sharp.strategy.attention })
+    // JPEG has no transparency; put transparent PNGs on black
+    .flatten({ background: '#000000' });
+
+  if (swatches.length) {
+    const height = Math.round(dimension * PALETTE_HEIGHT);
+    pipeline = pipeline.composite([{
+      input: renderPalette(swatches, dimension, height),
+      top: dimension - height,
+      left: 0
+    }]);
+  }
+
+  return pipeline.png().toBuffer();
+}
+
+/**
+ * Draws the palette strip as equal-width bands
+ * @param {Array<string>} swatches - Hex colors
+ * @param {number} width - Strip width in pixels
+ * @param {number} height - Strip height in pixels
+ * @returns {Buffer} SVG image
+ */
+function renderPalette(swatches, width, height) {
+  const bands = swatches.map((hex, index) => {
+    const left = Math.round(index * width / swatches.length);
+    const right = Math.round((index + 1) * width / swatches.length);
+    return `<rect x="${left}" y="0" width="${right - left}" height="${height}" fill="${hex}"/>`;
+  });
+
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${bands.join('')}</svg>`
+  );
+}
+
+/**
+ * Uploads a cover to a playlist
+ * @param {string} playlistId - Spotify playlist ID
+ * @param {Buffer} jpeg - Cover from createCover
+ * @param {string} accessToken - User access token with the ugc-image-upload scope
+ * @throws {Error} When Spotify rejects the upload (e.g. the scope was not granted)
+ */
+async function uploadCover(playlistId, jpeg, accessToken) {
+  await axios.put(
+    `https://api.spotify.com/v1/playlists/${encodeURIComponent(playlistId)}/images`,
+    jpeg.toString('base64'),
+    {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'image/jpeg'
+      },
+      timeout: REQUEST_TIMEOUT
+    }
+  );
+}
+
+module.exports = {
+  COVER_SCOPE,
+  createCover,
+  uploadCover
+};
@@ -0,0 +1,173 @@
+/**
+ * Image Preprocessing
+ * Sniffs the real image or video format and normalizes still images before analysis
+ */
+
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+
+// Longest edge kept after normalization; larger images are downscaled
+const MAX_DIMENSION = 1600;
+
+// Quality used when re-encoding to JPEG
+const JPEG_QUALITY = 90;
+
+// Formats stored as-is in their own encoding when animated (GIF keeps its animation frames);
+// single-frame images in these formats are normalized like any other still image
+const PASSTHROUGH_FORMATS = ['gif'];
+
+// Format for still images from a passthrough format (PNG keeps GIF transparency)
+const STILL_PASSTHROUGH_FORMAT = 'png';
+
+// Formats re-encoded in their own format after orientation and resizing
+const NATIVE_FORMATS = ['jpeg', 'png'];
+
+// Formats converted to JPEG, the canonical format for everything else
+const CONVERTED_FORMATS = ['webp', 'avif', 'heic', 'tiff'];
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  heic: 'image/heic',
+  tiff: 'image/tiff',
+  bmp: 'image/bmp',
+  mp4: 'video/mp4',
+  webm: 'video/webm'
+};
+
+// ISO-BMFF brands (the "ftyp" box) used by HEIF-family images
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash', 'qt  '];
+
+/**
+ * Detects the image or video format from its leading bytes, ignoring file names and client MIME types
+ * @param {Buffer} buffer - Image or video data
+ * @returns {string|null} Format name (jpeg, png, gif, webp, avif, heic, tiff, bmp, mp4, webm) or null
+ */
+function sniffFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'gif';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  if (buffer.toString('ascii', 0, 2) === 'BM') return 'bmp';
+
+  const tiffHeader = buffer.toString('binary', 0, 4);
+  if (tiffHeader === 'II*\x00' || tiffHeader === 'MM\x00*') return 'tiff';
+
+  if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+    // Check the major brand, then the compatible brands listed in the ftyp box
+    const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+    const brands = [buffer.toString('ascii', 8, 12)];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+      brands.push(buffer.toString('ascii', offset, offset + 4));
+    }
+
+    if (brands.some(brand => AVIF_BRANDS.includes(brand))) return 'avif';
+    if (brands.some(brand => HEIC_BRANDS.includes(brand))) return 'heic';
+    if (brands.some(brand => MP4_BRANDS.includes(brand))) return 'mp4';
+  }
+
+  // Matroska/EBML container whose DocType (within the header) is webm
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3 && buffer.slice(0, 64).includes('webm')) return 'webm';
+
+  return null;
+}
+
+/**
+ * Normalizes an uploaded image: applies EXIF orientation, converts uncommon formats
+ * to JPEG, downscales to MAX_DIMENSION, and drops embedded metadata
+ * @param {Buffer} buffer - Uploaded image data
+ * @returns {Object} Normalized buffer, its MIME type, and the original format
+ */
+async function normalizeImage(buffer) {
+  const format = sniffFormat(buffer);
+  const supported = [...PASSTHROUGH_FORMATS, ...NATIVE_FORMATS, ...CONVERTED_FORMATS];
+
+  if (!supported.includes(format)) {
+    const error = new Error(format
+      ? `Unsupported image format: ${format}`
+      : 'File is not a recognized image');
+    error.status = 415;
+    error.code = 'UNSUPPORTED_IMAGE_FORMAT';
+    throw error;
+  }
+
+  if (PASSTHROUGH_FORMATS.includes(format) && await isAnimated(buffer)) {
+    return { buffer, mimeType: MIME_TYPES[format], originalFormat: format };
+  }
+
+  let outputFormat = 'jpeg';
+  if (NATIVE_FORMATS.includes(format)) {
+    outputFormat = format;
+  } else if (PASSTHROUGH_FORMATS.includes(format)) {
+    outputFormat = STILL_PASSTHROUGH_FORMAT;
+  }
+
+  try {
+    // The prebuilt sharp binaries cannot decode HEVC, so decode HEIC separately first
+    const input = format === 'heic'
+      ? Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: JPEG_QUALITY / 100 }))
+      : buffer;
+
+    // rotate() with no angle applies the EXIF orientation; metadata is dropped on output
+    let pipeline = sharp(input)
+      .rotate()
+      .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true });
+
+    if (outputFormat === 'png') {
+      pipeline = pipeline.png();
+    } else {
+      // JPEG has no alpha channel
+      pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: JPEG_QUALITY });
+    }
+
+    return {
+      buffer: await pipeline.toBuffer(),
+      mimeType: MIME_TYPES[outputFormat],
+      originalFormat: format
+    };
+  } catch (decodeError) {
+    throw createDecodeError(format, decodeError);
+  }
+}
+
+/**
+ * Creates the error thrown when an uploaded image cannot be decoded
+ * @param {string} format - Format from sniffFormat
+ * @param {Error} decodeError - Error from the decoder
+ * @returns {Error} Error with status 422 and code INVALID_IMAGE
+ */
+function createDecodeError(format, decodeError) {
+  const error = new Error(`Could not decode ${format} image: ${decodeError.message}`);
+  error.status = 422;
+  error.code = 'INVALID_IMAGE';
+  return error;
+}
+
+/**
+ * Checks whether an image has more than one frame
+ * @param {Buffer} buffer - Image data
+ * @returns {boolean} Whether the image is animated; images sharp cannot read count as still,
+ * so normalization reports them as undecodable
+ */
+async function isAnimated(buffer) {
+  try {
+    const { pages = 1 } = await sharp(buffer).metadata();
+    return pages > 1;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  MIME_TYPES,
+  sniffFormat,
+  normalizeImage,
+  createDecodeError
+};
@@ -0,0 +1,245 @@
+/**
+ * Prompt Templates
+ * Loads the versioned recommendation prompts from PROMPTS_DIR, assigns sessions to
+ * template variants for A/B comparisons, and counts how each variant's songs are received.
+ * Template files are re-read when they change, so wording can be edited without a redeploy
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// One <variant>.prompt file per template version
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts', 'recommendations');
+
+// Serve this variant to every session instead of assigning one (e.g. while editing a template)
+const PROMPT_VARIANT = process.env.PROMPT_VARIANT || '';
+
+const TEMPLATE_EXTENSION = '.prompt';
+
+// How often (ms) the directory is checked for changed templates
+const RELOAD_INTERVAL = 5000;
+
+// {{#name}}...{{/name}} renders when the variable is set, {{^name}}...{{/name}} when it is not
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+// Outcomes counted per variant
+const EVENTS = ['recommendations', 'refinements', 'likes', 'playlistAdds'];
+
+// Loaded templates by variant ID, sorted by ID, and the file versions they were read from
+let templates = new Map();
+let loadedVersions = '';
+let checkedAt = 0;
+
+const stats = new Map();
+
+/**
+ * Parses a template file
+ * The header holds "# comments" and "key: value" settings (weight, description); "=== system"
+ * and "=== user" start the two messages
+ * @param {string} id - Variant ID (the file name without extension)
+ * @param {string} source - File contents
+ * @returns {Object} Template with id, weight, description, system, and user
+ * @throws {Error} When a message is missing
+ */
+function parseTemplate(id, source) {
+  const settings = {};
+  const sections = {};
+  let section = null;
+
+  source.split(/\r?\n/).forEach(line => {
+    const heading = line.match(/^===\s*(\w+)\s*$/);
+    if (heading) {
+      section = heading[1].toLowerCase();
+      sections[section] = [];
+    } else if (section) {
+      sections[section].push(line);
+    } else if (!line.startsWith('#')) {
+      const setting = line.match(/^\s*(\w+)\s*:\s*(.*?)\s*$/);
+      if (setting) settings[setting[1].toLowerCase()] = setting[2];
+    }
+  });
+
+  ['system', 'user'].forEach(name => {
+    if (!sections[name] || !sections[name].join('').trim()) {
+      throw new Error(`missing "=== ${name}" message`);
+    }
+  });
+
+  const weight = parseFloat(settings.weight);
+
+  return {
+    id,
+    // Templates without a weight are only served when forced with PROMPT_VARIANT
+    weight: Number.isFinite(weight) && weight > 0 ? weight : 0,
+    description: settings.description || '',
+    system: sections.system.join('\n'),
+    user: sections.user.join('\n')
+  };
+}
+
+/**
+ * Gets the templates, re-reading the directory when files were added, changed, or removed
+ * A file that cannot be parsed is left out; the other templates keep working
+ * @returns {Map} Templates by variant ID
+ * @throws {Error} When no template can be loaded
+ */
+function loadTemplates() {
+  if (templates.size && Date.now() - checkedAt < RELOAD_INTERVAL) {
+    return templates;
+  }
+  checkedAt = Date.now();
+
+  let files = [];
+  try {
+    files = fs.readdirSync(PROMPTS_DIR)
+      .filter(file => file.endsWith(TEMPLATE_EXTENSION))
+      .sort()
+      .map(file => {
+        const filePath = path.join(PROMPTS_DIR, file);
+        return { id: path.basename(file, TEMPLATE_EXTENSION), filePath, mtime: fs.statSync(filePath).mtimeMs };
+      });
+  } catch (error) {
+    console.error(`Cannot read prompt templates from ${PROMPTS_DIR}:`, error.message);
+  }
+
+  const versions = files.map(file => `${file.id}@${file.mtime}`).join(',');
+  if (versions !== loadedVersions) {
+    const loaded = new Map();
+    files.forEach(({ id, filePath }) => {
+      try {
+        loaded.set(id, parseTemplate(id, fs.readFileSync(filePath, 'utf8')));
+      } catch (error) {
+        console.error(`Skipping prompt template ${filePath}:`, error.message);
+      }
+    });
+
+    // Keep serving the last good templates if every file is broken
+    if (loaded.size) {
+      templates = loaded;
+      loadedVersions = versions;
+      console.log(`Loaded prompt templates: ${[...loaded.values()].map(t => `${t.id} (weight ${t.weight})`).join(', ')}`);
+    }
+  }
+
+  if (!templates.size) {
+    throw new Error(`No prompt templates found in ${PROMPTS_DIR}`);
+  }
+  return templates;
+}
+
+/**
+ * Assigns a session to a variant: the same session ID always lands on the same variant for the
+ * same weights, and a session keeps its current variant for as long as that variant is served
+ * @param {string} sessionId - Session ID
+ * @param {string|null} current - Variant the session was assigned earlier
+ * @returns {string} Variant ID
+ */
+function assignVariant(sessionId, current = null) {
+  const loaded = loadTemplates();
+
+  if (PROMPT_VARIANT && loaded.has(PROMPT_VARIANT)) {
+    return PROMPT_VARIANT;
+  }
+
+  const active = [...loaded.values()].filter(template => template.weight > 0);
+  if (current && active.some(template => template.id === current)) {
+    return current;
+  }
+  if (!active.length) {
+    return loaded.keys().next().value;
+  }
+
+  // Map the session ID to a point on the combined weights
+  const total = active.reduce((sum, template) => sum + template.weight, 0);
+  const hash = crypto.createHash('sha256').update(String(sessionId)).digest();
+  const point = (hash.readUInt32BE(0) / 0x100000000) * total;
+
+  let cumulative = 0;
+  const assigned = active.find(template => (cumulative += template.weight) > point);
+  return (assigned || active[active.length - 1]).id;
+}
+
+/**
+ * Gets a variant's template
+ * @param {string} variantId - Variant ID (see assignVariant)
+ * @returns {Object} Template with id, system, and user; an assigned variant stands in for unknown IDs
+ */
+function getTemplate(variantId) {
+  const loaded = loadTemplates();
+  return loaded.get(variantId) || loaded.get(assignVariant(''));
+}
+
+/**
+ * Renders a template message
+ * Sections are resolved first and runs of whitespace collapsed, so templates can put each
+ * clause on its own line; variable values are inserted as they are
+ * @param {string} text - Template message
+ * @param {Object} variables - Values by name; empty strings, null, false, and empty arrays are unset
+ * @returns {string} Rendered message
+ */
+function render(text, variables) {
+  const isSet = value => (Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== false && value !== '');
+
+  const expand = source => source.replace(SECTION_PATTERN, (match, type, name, content) =>
+    ((type === '#') === isSet(variables[name]) ? expand(content) : ''));
+
+  return expand(text)
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(VARIABLE_PATTERN, (match, name) => (isSet(variables[name]) ? String(variables[name]) : ''));
+}
+
+/**
+ * Counts an outcome for a variant
+ * @param {string|null} variantId - Variant ID
+ * @param {string} event - One of recommendations, refinements, likes, or playlistAdds
+ * @param {number} amount - How many to add (e.g. tracks added to a playlist)
+ */
+function recordEvent(variantId, event, amount = 1) {
+  if (!variantId || !EVENTS.includes(event)) {
+    return;
+  }
+
+  if (!stats.has(variantId)) {
+    stats.set(variantId, EVENTS.reduce((acc, name) => ({ ...acc, [name]: 0 }), {}));
+  }
+  stats.get(variantId)[event] += amount;
+}
+
+/**
+ * Reports the templates and the outcomes counted for each variant
+ * @returns {Object} Forced variant (if any) and the variants with their weights and counts
+ */
+function getStatus() {
+  let loaded = new Map();
+  try {
+    loaded = loadTemplates();
+  } catch (error) {
+    console.error('Prompt template error:', error.message);
+  }
+
+  // Include retired variants that still have counts from earlier in this run
+  const ids = [...new Set([...loaded.keys(), ...stats.keys()])];
+
+  return {
+    directory: PROMPTS_DIR,
+    forced: PROMPT_VARIANT || null,
+    variants: ids.map(id => ({
+      id,
+      weight: loaded.has(id) ? loaded.get(id).weight : 0,
+      description: loaded.has(id) ? loaded.get(id).description : '',
+      ...EVENTS.reduce((acc, name) => ({ ...acc, [name]: 0 }), {}),
+      ...stats.get(id)
+    }))
+  };
+}
+
+module.exports = {
+  assignVariant,
+  getTemplate,
+  render,
+  recordEvent,
+  getStatus
+};
@@ -0,0 +1,960 @@
+/**
+ * Recommendation Service
+ * Generates song recommendations based on image analysis results
+ * using the configured LLM provider
+ */
+
+const llm = require('./llm');
+const cache = require('./cache');
+const catalog = require('./spotify-catalog');
+const localeService = require('./locale');
+const promptTemplates = require('./prompt-templates');
+const { extractTextPhrases } = require('./text');
+const { describePalette, HARMONY_TYPES } = require('./color');
+
+// Cache to store recommendation results
+const recommendationCache = cache.createCache('recommendations', { maxEntries: 500, ttl: 6 * 60 * 60 });
+
+// Number of songs requested from the model, unless a filter asks for another count
+const RECOMMENDATION_COUNT = 10;
+const MAX_RECOMMENDATION_COUNT = 25;
+
+// Output tokens budgeted per song when the configured limit is too small for the count
+const TOKENS_PER_SONG = 70;
+
+// Earliest decade a filter may ask for
+const EARLIEST_DECADE = 1900;
+
+// Limits on free-text filter values
+const MAX_GENRES = 8;
+const MAX_FILTER_TEXT_LENGTH = 40;
+
+// Total model calls per request: the first attempt plus repair attempts
+const MAX_ATTEMPTS = 3;
+
+// Extra model requests for songs that could not be found on Spotify
+const MAX_REPLACEMENT_ROUNDS = 2;
+
+// Limits on refinement feedback and how much history goes into the prompt
+const MAX_FEEDBACK_LENGTH = 200;
+const MAX_HISTORY_MESSAGES = 5;
+const MAX_EXCLUDED_SONGS = 60;
+
+// Spotify track IDs are 22 base-62 characters
+const SPOTIFY_ID_PATTERN = /^[0-9A-Za-z]{22}$/;
+
+// Maximum lengths of the string fields in each recommendation
+const FIELD_LIMITS = {
+  title: 200,
+  artist: 200,
+  mood: 60,
+  reason: 400
+};
+
+/**
+ * Generates song recommendations based on image analysis keywords
+ * @param {Array} keywords - Array of keywords from image analysis
+ * @param {Array} colors - Array of color names
+ * @param {Object|null} mood - Valence and energy (0-1) from the mood model
+ * @param {Object} context - Additional image context
+ * @param {Array<string>} context.text - Phrases from text detected in the image
+ * @param {Object|null} context.place - Where and when the photo was taken
+ * @param {Object|null} context.palette - Palette metrics (warmth, saturation, brightness, contrast, harmony)
+ * @param {Array} context.album - Per-photo keywords when recommending for an album
+ * @param {Object|null} context.motion - Motion energy and pace when the source is a clip
+ * @param {string} context.promptVariant - Prompt template variant assigned to the session (see prompt-templates)
+ * @param {Object|null} context.taste - Listener's taste profile (see taste-profile), used with filters.tasteWeight
+ * @param {Object} filters - Constraints on the output (see normalizeFilters)
+ * @param {Function|null} onEvent - When given, the response is streamed: called with ('recommendation',
+ * { index, recommendation }) as each valid song is parsed and verified, and with ('reset') when a
+ * repaired response replaces songs already sent
+ * @returns {Object} Song recommendations (each marked verified, with its Spotify trackId), the provider
+ * and model that produced them, the prompt variant, the applied filters, the verification outcome, and
+ * whether a failed replacement round left the list short (incomplete)
+ * @throws {Error} With code INVALID_LLM_RESPONSE when no valid response is produced after repairs
+ */
+async function generateRecommendations(keywords, colors = [], mood = null, context = {}, filters = {}, onEvent = null) {
+  try {
+    const normalizedFilters = normalizeFilters(filters);
+    
+    // Create a cache key from the inputs, the filters, and the model that will answer
+    const { provider, model, maxTokens } = llm.getStatus();
+    const cacheKey = JSON.stringify({ provider, model, keywords, colors, mood, context, filters: normalizedFilters });
+    
+    // Check if we have cached recommendations
+    const cached = recommendationCache.get(cacheKey);
+    if (cached) {
+      console.log('Returning cached recommendations');
+      if (onEvent) {
+        cached.recommendations.forEach((recommendation, index) => onEvent('recommendation', { index, recommendation }));
+      }
+      return cached;
+    }
+    
+    // Construct the prompt
+    const prompt = constructPrompt(keywords, colors, mood, context, normalizedFilters);
+    const expected = {
+      count: normalizedFilters.count,
+      photos: describeAlbum(context.album) ? context.album.length : 0
+    };
+    
+    const parameters = { maxTokens: Math.max(maxTokens, normalizedFilters.count * TOKENS_PER_SONG) };
+    const onVerified = onEvent ? (recommendation, index) => onEvent('recommendation', { index, recommendation }) : null;
+    
+    // Songs are checked against Spotify as soon as they are parsed, and only sent once found
+    const market = localeService.getMarket(localeService.parseLocale(normalizedFilters.locale));
+    let verifier = createVerifier(onVerified, market);
+    const parsed = [];
+    const onDelta = onEvent ? createStreamParser(item => {
+      const { recommendation, errors } = validateRecommendation(item, parsed.length, expected.photos);
+      const key = songKey(recommendation);
+      if (errors.length || parsed.length >= expected.count || parsed.some(song => songKey(song) === key)) {
+        return;
+      }
+      parsed.push(recommendation);
+      verifier.add(recommendation);
+    }) : null;
+    
+    // Ask the configured LLM provider, repairing invalid responses
+    const response = await requestRecommendations(prompt, expected, parameters, onDelta);
+    
+    // A repaired response may differ from the songs already streamed, so verify and send it again in full
+    if (parsed.map(songKey).join('\n') !== response.recommendations.map(songKey).join('\n')) {
+      await verifier.done();
+      if (onEvent && verifier.accepted.length) onEvent('reset');
+      verifier = createVerifier(onVerified, market);
+      response.recommendations.forEach(verifier.add);
+    }
+    await verifier.done();
+    
+    // Replace songs that are not on Spotify (invented, or credited to the wrong artist)
+    const suggested = [...response.recommendations];
+    const complete = await replaceUnverified(verifier, suggested, expected.count, async missing => (await requestRecommendations(
+      constructPrompt(keywords, colors, mood, context, { ...normalizedFilters, count: missing },
+        `${describeReplacement(verifier.rejected)} ${describeExcluded(suggested)}`),
+      { ...expected, count: missing, exclude: new Set(suggested.map(songKey)) },
+      parameters
+    )).recommendations);
+    
+    // Echo the filters as applied, so clients can see clamped values
+    const result = {
+      recommendations: verifier.accepted,
+      provider: response.provider,
+      model: response.model,
+      promptVariant: prompt.variant,
+      filters: normalizedFilters,
+      verification: {
+        status: verifier.status,
+        dropped: verifier.rejected.length
+      },
+      // A replacement round failed, so the list may be short
+      incomplete: !complete
+    };
+    
+    // Cache the results, unless Spotify could not be reached to check them or replacements failed
+    if (verifier.status !== 'incomplete' && complete) {
+      recommendationCache.set(cacheKey, result);
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('LLM API error:', error);
+    if (error.code === 'INVALID_LLM_RESPONSE') throw error;
+    throw new Error(`Recommendation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Revises a list of recommendations from listener feedback: liked songs keep their place
+ * and every other song is replaced with one that follows the feedback
+ * @param {Object} refinement - The list being refined
+ * @param {Array} refinement.previous - Current recommendations, in display order
+ * @param {Object} refinement.feedback - Listener feedback on the current list
+ * @param {Array<number>} refinement.feedback.liked - Indexes of songs to keep
+ * @param {Array<number>} refinement.feedback.disliked - Indexes of songs the listener rejected
+ * @param {string} refinement.feedback.message - Free-text direction, e.g. "more upbeat" or "less mainstream"
+ * @param {Array} refinement.history - Earlier turns for this list (from refineRecommendations), oldest first
+ * @param {Array} keywords - Array of keywords from image analysis
+ * @param {Array} colors - Array of color names
+ * @param {Object|null} mood - Valence and energy (0-1) from the mood model
+ * @param {Object} context - Additional image context (as for generateRecommendations)
+ * @param {Object} filters - Constraints on the output (the count is taken from the previous list)
+ * @returns {Object} Revised recommendations, provider and model, prompt variant, applied filters, the verification outcome
+ * of the new songs, whether a failed replacement round left the list short, and the turn to add to the history
+ * @throws {Error} With code INVALID_LLM_RESPONSE when no valid response is produced after repairs
+ */
+async function refineRecommendations({ previous, feedback = {}, history = [] }, keywords, colors = [], mood = null, context = {}, filters = {}) {
+  try {
+    const photos = describeAlbum(context.album) ? context.album.length : 0;
+    
+    // The previous list comes from the client, so validate it like a model response
+    const current = (Array.isArray(previous) ? previous : [])
+      .slice(0, MAX_RECOMMENDATION_COUNT)
+      .map((rec, index) => {
+        const { recommendation, errors } = validateRecommendation(rec, index, photos);
+        // Kept songs are not looked up again, so carry over what the earlier list found
+        return errors.length ? null : {
+          ...recommendation,
+          verified: rec.verified === true,
+          trackId: SPOTIFY_ID_PATTERN.test(rec.trackId) ? rec.trackId : null
+        };
+      })
+      .filter(Boolean);
+    
+    const indexes = value => new Set((Array.isArray(value) ? value : [])
+      .map(index => parseInt(index, 10))
+      .filter(index => index >= 0 && index < current.length));
+    const liked = indexes(feedback.liked);
+    const disliked = indexes(feedback.disliked);
+    liked.forEach(index => disliked.delete(index));
+    
+    const kept = current.filter((song, index) => liked.has(index));
+    const replaced = current.filter((song, index) => !liked.has(index));
+    const turn = {
+      message: cleanFeedback(feedback.message),
+      liked: kept.map(({ title, artist }) => ({ title, artist })),
+      disliked: current.filter((song, index) => disliked.has(index)).map(({ title, artist }) => ({ title, artist }))
+    };
+    
+    const normalizedFilters = { ...normalizeFilters(filters), count: replaced.length };
+    const { provider, model, maxTokens } = llm.getStatus();
+    
+    // Nothing to replace when every song was liked
+    if (!replaced.length) {
+      return {
+        recommendations: current,
+        provider,
+        model,
+        promptVariant: promptTemplates.getTemplate(context.promptVariant).id,
+        filters: normalizedFilters,
+        verification: { status: catalog.isAvailable() ? 'verified' : 'disabled', dropped: 0 },
+        incomplete: false,
+        turn
+      };
+    }
+    
+    // Never bring back a song from this list or an earlier one
+    const shown = [
+      ...history.flatMap(entry => [...(entry.liked || []), ...(entry.disliked || []), ...(entry.replaced || [])]),
+      ...current
+    ];
+    const exclude = new Set(shown.map(songKey));
+    turn.replaced = replaced.map(({ title, artist }) => ({ title, artist }));
+    
+    const parameters = { maxTokens: Math.max(maxTokens, replaced.length * TOKENS_PER_SONG) };
+    const prompt = constructPrompt(keywords, colors, mood, context, normalizedFilters,
+      describeRefinement(kept, turn, history, shown));
+    
+    const response = await requestRecommendations(prompt, {
+      count: replaced.length,
+      photos,
+      exclude
+    }, parameters);
+    
+    // Check the new songs on Spotify, replacing ones that are not there
+    const verifier = createVerifier(null, localeService.getMarket(localeService.parseLocale(normalizedFilters.locale)));
+    response.recommendations.forEach(verifier.add);
+    const suggested = [...shown, ...response.recommendations];
+    const complete = await replaceUnverified(verifier, suggested, replaced.length, async missing => (await requestRecommendations(
+      constructPrompt(keywords, colors, mood, context, { ...normalizedFilters, count: missing },
+        `${describeRefinement(kept, turn, history, suggested)} ${describeReplacement(verifier.rejected)}`),
+      { count: missing, photos, exclude: new Set(suggested.map(songKey)) },
+      parameters
+    )).recommendations);
+    
+    // Put the new songs into the slots of the songs they replace; slots left without one are dropped
+    const replacements = [...verifier.accepted];
+    const recommendations = current
+      .map((song, index) => (liked.has(index) ? song : replacements.shift()))
+      .filter(Boolean);
+    
+    return {
+      recommendations,
+      provider: response.provider,
+      model: response.model,
+      promptVariant: prompt.variant,
+      filters: normalizedFilters,
+      verification: {
+        status: verifier.status,
+        dropped: verifier.rejected.length
+      },
+      incomplete: !complete,
+      turn
+    };
+  } catch (error) {
+    console.error('LLM API error:', error);
+    if (error.code === 'INVALID_LLM_RESPONSE') throw error;
+    throw new Error(`Refinement failed: ${error.message}`);
+  }
+}
+
+/**
+ * Creates a verification queue: songs are looked up on Spotify in parallel and accepted in
+ * the order they were added, with verified and trackId set; songs missing from the catalog
+ * are rejected. If Spotify cannot be reached, songs are accepted unverified
+ * @param {Function|null} onAccepted - Called with each accepted song and its index
+ * @param {string|null} market - Country the songs must be available in (any when null)
+ * @returns {Object} Queue with add, done, the accepted and rejected songs, and a status
+ * (verified, incomplete when some lookups failed, or disabled)
+ */
+function createVerifier(onAccepted, market = null) {
+  let queue = Promise.resolve();
+  
+  const verifier = {
+    accepted: [],
+    rejected: [],
+    status: catalog.isAvailable() ? 'verified' : 'disabled',
+    add(recommendation) {
+      const lookup = verifier.status === 'disabled'
+        ? Promise.resolve(undefined)
+        : catalog.findTrack(recommendation.title, recommendation.artist, market).catch(error => {
+          console.error('Spotify verification error:', error.response?.data || error.message);
+          verifier.status = 'incomplete';
+          return undefined;
+        });
+      
+      queue = queue.then(async () => {
+        const track = await lookup;
+        
+        // null means Spotify answered and has no such song; undefined means it was not checked
+        if (track === null) {
+          verifier.rejected.push(recommendation);
+          return;
+        }
+        
+        const checked = { ...recommendation, verified: !!track, trackId: track ? track.id : null };
+        verifier.accepted.push(checked);
+        if (onAccepted) onAccepted(checked, verifier.accepted.length - 1);
+      });
+    },
+    done: () => queue
+  };
+  
+  return verifier;
+}
+
+/**
+ * Asks for replacements of songs the verifier rejected until the count is met or the
+ * replacement rounds run out. A round that fails (e.g. the LLM times out or keeps returning
+ * invalid output) ends the replacements, keeping the songs already accepted
+ * @param {Object} verifier - Verification queue (see createVerifier) holding the songs so far
+ * @param {Array} suggested - Every song suggested so far; replacements are appended to it
+ * @param {number} count - Number of verified songs wanted
+ * @param {Function} requestReplacements - Called with the number of songs missing; resolves to new songs
+ * @returns {boolean} False when a replacement round failed
+ */
+async function replaceUnverified(verifier, suggested, count, requestReplacements) {
+  await verifier.done();
+  
+  for (let round = 1; verifier.accepted.length < count && round <= MAX_REPLACEMENT_ROUNDS; round++) {
+    const missing = count - verifier.accepted.length;
+    console.log(`Replacing ${missing} recommendations not found on Spotify (round ${round})`);
+    
+    let replacements;
+    try {
+      replacements = await requestReplacements(missing);
+    } catch (error) {
+      console.error(`Replacement round ${round} failed, keeping ${verifier.accepted.length} recommendations:`, error.message);
+      return false;
+    }
+    suggested.push(...replacements);
+    replacements.forEach(verifier.add);
+    await verifier.done();
+  }
+  
+  return true;
+}
+
+/**
+ * Asks the LLM for recommendations, feeding validation errors back until the response is valid
+ * @param {Object} prompt - Recommendation prompt (see constructPrompt)
+ * @param {Object} expected - What a valid response must contain
+ * @param {number} expected.count - Number of recommendations
+ * @param {number} expected.photos - Number of album photos (0 when not an album)
+ * @param {Set<string>} expected.exclude - Keys (see songKey) of songs that must not be suggested
+ * @param {Object} parameters - Generation parameter overrides passed to the LLM
+ * @param {Function|null} onDelta - When given, the first attempt is streamed to it; repairs are not
+ * @returns {Object} Validated recommendations plus the provider and model
+ */
+async function requestRecommendations(prompt, expected, parameters = {}, onDelta = null) {
+  const messages = [
+    {
+      role: 'system',
+      content: prompt.system
+    },
+    {
+      role: 'user',
+      content: prompt.user
+    }
+  ];
+  
+  let errors = [];
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const response = attempt === 1 && onDelta
+      ? await llm.stream(messages, parameters, onDelta)
+      : await llm.complete(messages, parameters);
+    const validation = validateResponse(response.content, expected);
+    
+    if (!validation.errors.length) {
+      return {
+        recommendations: validation.recommendations,
+        provider: response.provider,
+        model: response.model
+      };
+    }
+    
+    errors = validation.errors;
+    console.warn(`Invalid LLM response (attempt ${attempt} of ${MAX_ATTEMPTS}):`, errors.join('; '));
+    
+    // Show the model its own answer and what is wrong with it
+    messages.push(
+      { role: 'assistant', content: String(response.content || '') },
+      {
+        role: 'user',
+        content: `That response is invalid: ${errors.slice(0, 10).join('; ')}. Return the corrected JSON object only, with exactly ${expected.count} recommendations.`
+      }
+    );
+  }
+  
+  const error = new Error('The recommendation model did not return valid recommendations');
+  error.status = 502;
+  error.code = 'INVALID_LLM_RESPONSE';
+  error.validationErrors = errors;
+  throw error;
+}
+
+/**
+ * Constructs a recommendation prompt based on image analysis, using the template of the
+ * session's prompt variant
+ * @param {Array} keywords - Array of keywords from image analysis
+ * @param {Array} colors - Array of color names
+ * @param {Object|null} mood - Valence and energy (0-1) from the mood model
+ * @param {Object} context - Additional image context, including the promptVariant
+ * @param {Object} filters - Normalized filters
+ * @param {string} refinement - Listener feedback on an earlier list (see describeRefinement)
+ * @returns {Object} Prompt with the variant used and the system and user messages
+ */
+function constructPrompt(keywords, colors = [], mood = null, context = {}, filters = normalizeFilters(), refinement = '') {
+  const template = promptTemplates.getTemplate(context.promptVariant);
+  
+  // Re-filter text phrases since they may come straight from the client
+  const textPhrases = extractTextPhrases((context.text || []).map(phrase => ({ text: String(phrase) })));
+  
+  const locale = localeService.parseLocale(filters.locale);
+  let localArtists = null;
+  if (filters.localArtists && locale) {
+    localArtists = locale.region
+      ? `artists from ${locale.regionName}`
+      : `artists popular with ${locale.languageName} speakers`;
+  }
+  
+  // Each variable is a clause or phrase; the template decides the wording around it
+  const variables = {
+    keywords: keywords.join(', '),
+    palette: describePaletteForPrompt(context.palette, colors),
+    colors: colors.join(', '),
+    mood: describeMood(mood),
+    count: filters.count,
+    // Hard requirements, which templates should put before the softer context hints
+    requirements: describeFilters(filters),
+    // Text in the image (posters, signs, album art) often carries the meaning
+    text: textPhrases.map(phrase => `"${phrase}"`).join(', '),
+    place: describePlace(context.place),
+    regional: !!(context.place && (context.place.country || context.place.landmark)),
+    localArtists,
+    taste: describeTaste(context.taste, filters.tasteWeight),
+    motion: describeMotion(context.motion),
+    // One blended playlist, but each song should be traceable to a photo
+    album: describeAlbum(context.album),
+    refinement,
+    language: locale && locale.language !== 'en' ? locale.languageName : null
+  };
+  
+  return {
+    variant: template.id,
+    system: promptTemplates.render(template.system, variables),
+    user: promptTemplates.render(template.user, variables)
+  };
+}
+
+/**
+ * Normalizes recommendation filters, which come straight from the client
+ * @param {Object} filters - Raw filters
+ * @param {number} filters.count - Number of songs (1 to MAX_RECOMMENDATION_COUNT)
+ * @param {Array<string>} filters.includeGenres - Genres to draw from
+ * @param {Array<string>} filters.excludeGenres - Genres to avoid
+ * @param {number|null} filters.decadeFrom - Earliest release decade (e.g. 1970)
+ * @param {number|null} filters.decadeTo - Latest release decade (e.g. 1990)
+ * @param {string|null} filters.language - Vocal language (e.g. "Spanish")
+ * @param {boolean} filters.instrumental - Only instrumental tracks
+ * @param {string} filters.explicit - "allow" or "exclude" explicit lyrics
+ * @param {string} filters.locale - Listener's locale (BCP 47 tag, e.g. "pt-BR") for the mood and reason text
+ * @param {boolean} filters.localArtists - Favor artists from the locale's market
+ * @param {number|null} filters.tasteWeight - How closely to follow the listener's taste profile,
+ * from 0 (discover something new) to 1 (my taste); null leaves the profile out
+ * @returns {Object} Filters with defaults filled in and values clamped, in a stable key order
+ */
+function normalizeFilters(filters = {}) {
+  const source = filters && typeof filters === 'object' ? filters : {};
+  
+  const text = value => (typeof value === 'string' ? value.replace(/["\n]/g, ' ').trim().slice(0, MAX_FILTER_TEXT_LENGTH) : '');
+  const genres = value => [...new Set((Array.isArray(value) ? value : [])
+    .map(genre => text(genre).toLowerCase())
+    .filter(Boolean))]
+    .slice(0, MAX_GENRES)
+    .sort();
+  const decade = value => {
+    const year = parseInt(value, 10);
+    const latest = Math.floor(new Date().getFullYear() / 10) * 10;
+    return Number.isInteger(year) ? Math.min(latest, Math.max(EARLIEST_DECADE, Math.floor(year / 10) * 10)) : null;
+  };
+  
+  const count = parseInt(source.count, 10);
+  let decadeFrom = decade(source.decadeFrom);
+  let decadeTo = decade(source.decadeTo);
+  if (decadeFrom !== null && decadeTo !== null && decadeFrom > decadeTo) {
+    [decadeFrom, decadeTo] = [decadeTo, decadeFrom];
+  }
+  
+  const includeGenres = genres(source.includeGenres);
+  const tasteWeight = source.tasteWeight === null || source.tasteWeight === undefined || source.tasteWeight === ''
+    ? NaN
+    : Number(source.tasteWeight);
+  const instrumental = source.instrumental === true || source.instrumental === 'true';
+  
+  return {
+    count: Number.isInteger(count) ? Math.min(MAX_RECOMMENDATION_COUNT, Math.max(1, count)) : RECOMMENDATION_COUNT,
+    includeGenres,
+    // A genre cannot be both wanted and excluded; inclusion wins
+    excludeGenres: genres(source.excludeGenres).filter(genre => !includeGenres.includes(genre)),
+    decadeFrom,
+    decadeTo,
+    // Instrumental tracks have no vocal language
+    language: instrumental ? null : (text(source.language) || null),
+    instrumental,
+    explicit: source.explicit === 'exclude' ? 'exclude' : 'allow',
+    // Language of the mood and reason text, and the market songs are checked in
+    locale: (localeService.parseLocale(source.locale) || localeService.resolveLocale([])).tag,
+    localArtists: source.localArtists === true || source.localArtists === 'true',
+    // From 0 (discover something new) to 1 (my taste), in steps of 0.1; null when not personalized
+    tasteWeight: Number.isFinite(tasteWeight) ? Math.round(Math.min(1, Math.max(0, tasteWeight)) * 10) / 10 : null
+  };
+}
+
+/**
+ * Describes normalized filters as requirements for the prompt
+ * @param {Object} filters - Normalized filters
+ * @returns {string} Requirements such as "genre: jazz or soul; released 1960s-1970s; no explicit lyrics", or empty
+ */
+function describeFilters(filters) {
+  const requirements = [];
+  
+  if (filters.includeGenres.length) {
+    requirements.push(`genre: ${filters.includeGenres.join(' or ')}`);
+  }
+  if (filters.excludeGenres.length) {
+    requirements.push(`not ${filters.excludeGenres.join(', ')}`);
+  }
+  
+  if (filters.decadeFrom !== null && filters.decadeTo !== null) {
+    requirements.push(filters.decadeFrom === filters.decadeTo
+      ? `released in the ${filters.decadeFrom}s`
+      : `released between the ${filters.decadeFrom}s and the ${filters.decadeTo}s`);
+  } else if (filters.decadeFrom !== null) {
+    requirements.push(`released in the ${filters.decadeFrom}s or later`);
+  } else if (filters.decadeTo !== null) {
+    requirements.push(`released in the ${filters.decadeTo}s or earlier`);
+  }
+  
+  if (filters.instrumental) {
+    requirements.push('instrumental only (no vocals)');
+  } else if (filters.language) {
+    requirements.push(`sung in ${filters.language}`);
+  }
+  
+  if (filters.explicit === 'exclude') {
+    requirements.push('no explicit lyrics (clean versions only, suitable for all ages)');
+  }
+  
+  return requirements.join('; ');
+}
+
+/**
+ * Describes the listener's taste and how closely to follow it for use in the prompt
+ * @param {Object|null} taste - Taste profile with top artists and genres
+ * @param {number|null} weight - From 0 (discover something new) to 1 (my taste)
+ * @returns {string} Description, or an empty string when not personalizing
+ */
+function describeTaste(taste, weight) {
+  if (!taste || weight === null) {
+    return '';
+  }
+  
+  const parts = [];
+  if (taste.genres && taste.genres.length) {
+    parts.push(`their favorite genres are ${taste.genres.join(', ')}`);
+  }
+  if (taste.artists && taste.artists.length) {
+    parts.push(`their most played artists include ${taste.artists.join(', ')}`);
+  }
+  if (!parts.length) {
+    return '';
+  }
+  
+  let guidance;
+  if (weight >= 1) {
+    guidance = 'Keep every song close to their taste; their favorite artists are welcome.';
+  } else if (weight <= 0) {
+    guidance = 'Help them discover something new: avoid their most played artists and go beyond their usual genres.';
+  } else {
+    guidance = `About ${Math.round(weight * 100)}% of the songs should be close to their taste; make the rest discoveries beyond their usual genres and most played artists.`;
+  }
+  
+  return `About the listener: ${parts.join('; ')}. ${guidance}`;
+}
+
+/**
+ * Describes songs that could not be found on Spotify for use in a replacement prompt
+ * @param {Array} rejected - Songs not found on Spotify
+ * @returns {string} Instructions for the replacement songs
+ */
+function describeReplacement(rejected) {
+  return `These songs replace suggestions that could not be found on Spotify (${rejected.map(describeSong).join(', ')}).`
+    + ' Suggest only real, released songs, with the title and artist exactly as they appear on Spotify.';
+}
+
+/**
+ * Lists songs the model must not suggest again
+ * @param {Array} songs - Every song suggested so far, oldest first
+ * @returns {string} Instruction naming the most recent songs
+ */
+function describeExcluded(songs) {
+  // Keep the most recent songs when the list grows long
+  const excluded = [...new Map(songs.map(entry => [songKey(entry), entry])).values()].slice(-MAX_EXCLUDED_SONGS);
+  return `Do not suggest any of these songs again: ${excluded.map(describeSong).join('; ')}.`;
+}
+
+/**
+ * Describes a song for use in a prompt
+ * @param {Object} song - Song with title and artist
+ * @returns {string} Description such as "Hurt" by Johnny Cash
+ */
+function describeSong({ title, artist }) {
+  return `"${String(title).slice(0, 100)}" by ${String(artist).slice(0, 100)}`;
+}
+
+/**
+ * Describes listener feedback on an earlier list for use in the prompt
+ * @param {Array} kept - Liked songs that stay in the list
+ * @param {Object} turn - This turn's feedback message and disliked songs
+ * @param {Array} history - Earlier turns, oldest first
+ * @param {Array} shown - Every song suggested so far
+ * @returns {string} Instructions for the replacement songs
+ */
+function describeRefinement(kept, turn, history, shown) {
+  // Earlier directions still apply unless the latest one overrides them
+  const messages = [...history.map(entry => entry.message), turn.message]
+    .filter(Boolean)
+    .slice(-MAX_HISTORY_MESSAGES);
+  
+  let description = 'The listener is refining an earlier list of suggestions; these songs are replacements.';
+  
+  if (messages.length) {
+    description += ` Their requests so far, oldest first: ${messages.map(message => `"${message}"`).join(', ')}; follow the latest one most closely.`;
+  }
+  if (kept.length) {
+    description += ` They liked ${kept.map(describeSong).join(', ')} (kept in the list), so suggest songs that sit well next to them.`;
+  }
+  if (turn.disliked.length) {
+    description += ` They disliked ${turn.disliked.map(describeSong).join(', ')}; steer away from similar songs.`;
+  }
+  
+  return `${description} ${describeExcluded(shown)}`;
+}
+
+/**
+ * Cleans a free-text feedback message, which comes straight from the client
+ * @param {*} message - Feedback message
+ * @returns {string} Message on one line without quotes, or empty
+ */
+function cleanFeedback(message) {
+  return typeof message === 'string'
+    ? message.replace(/["\n\r]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, MAX_FEEDBACK_LENGTH)
+    : '';
+}
+
+/**
+ * Describes the image palette from its metrics for use in the prompt
+ * @param {Object|null} palette - Palette metrics from the analysis
+ * @param {Array} colors - Color names, most dominant first
+ * @returns {string} Description such as "a warm, vivid palette with complementary harmony (mainly rust, navy)", or empty
+ */
+function describePaletteForPrompt(palette, colors = []) {
+  if (!palette || typeof palette !== 'object') {
+    return '';
+  }
+  
+  // Metrics may come from the client, so coerce and clamp them
+  const metric = (value, min, max) => Math.min(max, Math.max(min, Number(value) || 0));
+  const adjectives = describePalette({
+    warmth: metric(palette.warmth, -1, 1),
+    saturation: metric(palette.saturation, 0, 1),
+    brightness: metric(palette.brightness, 0, 1),
+    contrast: metric(palette.contrast, 0, 1)
+  });
+  
+  let description = `a ${adjectives.join(', ')} palette`;
+  
+  if (HARMONY_TYPES.includes(palette.harmony)) {
+    description += palette.harmony === 'mixed' ? ' of mixed hues' : ` with ${palette.harmony} harmony`;
+  }
+  
+  const mainColors = colors.slice(0, 3).map(color => String(color).slice(0, 30));
+  if (mainColors.length) {
+    description += ` (mainly ${mainColors.join(', ')})`;
+  }
+  
+  return description;
+}
+
+/**
+ * Describes the mood model's valence and energy for use in the prompt
+ * @param {Object|null} mood - Mood with valence and energy (0-1)
+ * @returns {string} Description such as "a mood of valence 0.72 (positive) and energy 0.35 (relaxed) on a 0-1 scale", or empty
+ */
+function describeMood(mood) {
+  if (!mood || typeof mood !== 'object' || !Number.isFinite(Number(mood.valence)) || !Number.isFinite(Number(mood.energy))) {
+    return '';
+  }
+  
+  // Values may come from the client, so clamp them
+  const valence = Math.min(1, Math.max(0, Number(mood.valence)));
+  const energy = Math.min(1, Math.max(0, Number(mood.energy)));
+  
+  const valenceWord = valence >= 0.65 ? 'positive' : valence <= 0.35 ? 'negative' : 'mixed';
+  const energyWord = energy >= 0.65 ? 'intense' : energy <= 0.35 ? 'relaxed' : 'moderate';
+  
+  return `a mood of valence ${valence.toFixed(2)} (${valenceWord}) and energy ${energy.toFixed(2)} (${energyWord}) on a 0-1 scale`;
+}
+
+/**
+ * Describes where and when a photo was taken for use in the prompt
+ * @param {Object|null} place - Place with country, landmark, and timeOfDay
+ * @returns {string} Description such as "at Copacabana in Brazil in the evening", or empty
+ */
+function describePlace(place) {
+  if (!place || typeof place !== 'object') {
+    return '';
+  }
+  
+  // Values may come from the client, so keep them short and plain
+  const clean = value => (typeof value === 'string' ? value.replace(/["\n]/g, ' ').trim().slice(0, 60) : '');
+  const landmark = clean(place.landmark);
+  const country = clean(place.country);
+  const timeOfDay = clean(place.timeOfDay);
+  
+  const parts = [];
+  if (landmark) parts.push(`at ${landmark}`);
+  if (country) parts.push(`in ${country}`);
+  if (timeOfDay) parts.push(`in the ${timeOfDay}`);
+  
+  return parts.join(' ');
+}
+
+/**
+ * Describes how much a clip moves and what tempo that calls for
+ * @param {Object|null} motion - Motion with energy (0-1), pace, and cutsPerMinute
+ * @returns {string} Sentence steering the tempo of the recommendations, or empty
+ */
+function describeMotion(motion) {
+  if (!motion || typeof motion !== 'object') {
+    return '';
+  }
+  
+  // Values may come from the client, so clamp them
+  const energy = Math.min(1, Math.max(0, Number(motion.energy) || 0));
+  const cutsPerMinute = Math.max(0, Math.round(Number(motion.cutsPerMinute) || 0));
+  const cuts = cutsPerMinute ? ` with about ${cutsPerMinute} cuts per minute` : '';
+  
+  if (energy >= 0.6) {
+    return `The images come from a fast-paced clip${cuts} (motion energy ${energy.toFixed(2)} of 1), so favour high-tempo, driving songs and avoid slow ballads.`;
+  }
+  if (energy >= 0.3) {
+    return `The images come from a clip with moderate movement${cuts} (motion energy ${energy.toFixed(2)} of 1), so favour mid-tempo songs with a steady groove.`;
+  }
+  return `The images come from a calm, slow-moving clip (motion energy ${energy.toFixed(2)} of 1), so favour relaxed, slower songs.`;
+}
+
+/**
+ * Describes each photo of an album by its top keywords
+ * @param {Array} album - Per-photo entries with a keywords array, in photo order
+ * @returns {string} Description such as "photo 1 [beach, sunset]; photo 2 [party]", or empty
+ */
+function describeAlbum(album) {
+  if (!Array.isArray(album) || album.length < 2) {
+    return '';
+  }
+  
+  return album
+    .map((photo, index) => {
+      const keywords = (photo && Array.isArray(photo.keywords) ? photo.keywords : [])
+        .slice(0, 5)
+        .map(keyword => String(keyword).slice(0, 40));
+      return `photo ${index + 1} [${keywords.join(', ')}]`;
+    })
+    .join('; ');
+}
+
+/**
+ * Parses and validates the LLM response against the recommendation schema
+ * @param {string} responseText - Raw response from the LLM
+ * @param {Object} expected - Expected count, number of album photos, and songs to exclude
+ * @returns {Object} Cleaned recommendations and a list of validation errors (empty when valid)
+ */
+function validateResponse(responseText, { count, photos, exclude = new Set() }) {
+  let parsedResponse;
+  try {
+    // Some local models wrap JSON in a Markdown code fence
+    const json = String(responseText || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+    parsedResponse = JSON.parse(json);
+  } catch (error) {
+    return { recommendations: [], errors: [`response is not valid JSON (${error.message})`] };
+  }
+  
+  if (!parsedResponse || !Array.isArray(parsedResponse.recommendations)) {
+    return { recommendations: [], errors: ['response must be an object with a "recommendations" array'] };
+  }
+  
+  const errors = [];
+  const items = parsedResponse.recommendations;
+  
+  if (items.length !== count) {
+    errors.push(`expected ${count} recommendations but got ${items.length}`);
+  }
+  
+  const seen = new Set();
+  const recommendations = items.map((rec, index) => {
+    const validation = validateRecommendation(rec, index, photos);
+    const { recommendation } = validation;
+    errors.push(...validation.errors);
+    
+    const key = songKey(recommendation);
+    if (recommendation && recommendation.title && seen.has(key)) {
+      errors.push(`recommendation ${index + 1} repeats "${recommendation.title}" by ${recommendation.artist}`);
+    } else if (exclude.has(key)) {
+      errors.push(`recommendation ${index + 1} ("${recommendation.title}" by ${recommendation.artist}) was already suggested; choose a different song`);
+    }
+    seen.add(key);
+    
+    return recommendation;
+  });
+  
+  return { recommendations, errors };
+}
+
+/**
+ * Validates a single recommendation against the schema
+ * @param {*} rec - Recommendation as parsed from the response
+ * @param {number} index - Position in the response, used in error messages
+ * @param {number} photos - Number of album photos (0 when not an album)
+ * @returns {Object} The cleaned recommendation (null if not an object) and its validation errors
+ */
+function validateRecommendation(rec, index, photos) {
+  const label = `recommendation ${index + 1}`;
+  if (!rec || typeof rec !== 'object') {
+    return { recommendation: null, errors: [`${label} must be an object`] };
+  }
+  
+  const errors = [];
+  const recommendation = {};
+  Object.keys(FIELD_LIMITS).forEach(field => {
+    const value = typeof rec[field] === 'string' ? rec[field].trim() : '';
+    if (!value) {
+      errors.push(`${label} is missing "${field}"`);
+    } else if (value.length > FIELD_LIMITS[field]) {
+      errors.push(`${label} "${field}" is longer than ${FIELD_LIMITS[field]} characters`);
+    }
+    recommendation[field] = value;
+  });
+  
+  // Album recommendations point back at the photo that inspired them
+  if (photos) {
+    const photo = Number(rec.photo);
+    if (!Number.isInteger(photo) || photo < 1 || photo > photos) {
+      errors.push(`${label} "photo" must be a whole number from 1 to ${photos}`);
+    }
+    recommendation.photo = photo;
+  }
+  
+  return { recommendation, errors };
+}
+
+/**
+ * Identifies a song by title and artist, ignoring case
+ * @param {Object|null} recommendation - Recommendation with title and artist
+ * @returns {string} Comparison key
+ */
+function songKey(recommendation) {
+  return recommendation ? `${recommendation.title}|${recommendation.artist}`.toLowerCase() : '';
+}
+
+/**
+ * Creates a parser that picks complete recommendation objects out of a streamed JSON response
+ * @param {Function} onItem - Called with each recommendation object as soon as it is complete
+ * @returns {Function} Accepts the next piece of response text
+ */
+function createStreamParser(onItem) {
+  let text = '';
+  let position = -1; // Next character to scan, once the recommendations array has opened
+  let depth = 0;
+  let itemStart = -1;
+  let inString = false;
+  let escaped = false;
+  let finished = false;
+  
+  return delta => {
+    text += delta;
+    if (finished) return;
+    
+    if (position < 0) {
+      const opening = text.match(/"recommendations"\s*:\s*\[/);
+      if (!opening) return;
+      position = opening.index + opening[0].length;
+    }
+    
+    // Track nesting and strings so braces inside titles or reasons are ignored
+    for (; position < text.length; position++) {
+      const char = text[position];
+      
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        if (depth === 0) itemStart = position;
+        depth++;
+      } else if (char === '}' || char === ']') {
+        if (depth === 0) {
+          // End of the recommendations array
+          finished = true;
+          return;
+        }
+        depth--;
+        if (depth === 0) {
+          try {
+            onItem(JSON.parse(text.slice(itemStart, position + 1)));
+          } catch (error) {
+            // Malformed items are reported by the full validation at the end
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  generateRecommendations,
+  refineRecommendations
+}; 
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * Spotify Auth
+ * Keeps the logged-in user's Spotify access token fresh for every route that calls Spotify
+ * on their behalf (the Spotify routes, and recommendations personalized with their taste)
+ */
+
+const axios = require('axios');
+
+const SPOTIFY_CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
+const SPOTIFY_CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
+
+/**
+ * Middleware to refresh access token if expired
+ * @param {Object} req - Express request; req.user holds the Spotify tokens
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+async function refreshTokenIfNeeded(req, res, next) {
+  // Skip if no user or no tokens
+  if (!req.user || !req.user.accessToken) {
+    return next();
+  }
+  
+  try {
+    // Check if token is expired or about to expire (within 5 minutes)
+    const now = Date.now();
+    const tokenExpiresAt = req.user.expiresAt;
+    const isExpired = now >= tokenExpiresAt - (5 * 60 * 1000); // 5 min buffer
+    
+    // If token is still valid, continue
+    if (!isExpired) {
+      return next();
+    }
+    
+    console.log('Access token expired, refreshing...');
+    
+    // No refresh token, can't refresh
+    if (!req.user.refreshToken) {
+      console.log('No refresh token available, cannot refresh access token');
+      return next();
+    }
+    
+    // Request new access token
+    const response = await axios.post(
+      'https://accounts.spotify.com/api/token',
+      new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: req.user.refreshToken
+      }).toString(),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Authorization': `Basic ${Buffer.from(`${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`).toString('base64')}`
+        }
+      }
+    );
+    
+    // Update tokens in session
+    req.user.accessToken = response.data.access_token;
+    if (response.data.refresh_token) {
+      req.user.refreshToken = response.data.refresh_token;
+    }
+    req.user.expiresAt = Date.now() + (response.data.expires_in * 1000);
+    
+    console.log('Access token refreshed successfully');
+    
+    // Update session
+    req.session.passport.user = req.user;
+    req.session.save(err => {
+      if (err) {
+        console.error('Error saving session after token refresh:', err);
+      }
+      next();
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error.message);
+    next();
+  }
+}
+
+module.exports = {
+  refreshTokenIfNeeded
+};
@@ -0,0 +1,420 @@
+/**
+ * Spotify Catalog Service
+ * Looks songs up in the Spotify catalog with an app token (client credentials),
+ * so recommendations can be checked without a signed-in user, and resolves songs
+ * to their best-matching tracks with a confidence score
+ */
+
+const axios = require('axios');
+const cache = require('./cache');
+
+const SPOTIFY_CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
+const SPOTIFY_CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
+
+// Set SPOTIFY_VERIFY=false to skip checking recommendations against the catalog
+const SPOTIFY_VERIFY = process.env.SPOTIFY_VERIFY !== 'false';
+
+// Catalog requests should not hold up recommendations for long
+const REQUEST_TIMEOUT = 5000;
+
+// Results per search query
+const SEARCH_LIMIT = 10;
+
+// Confidence (0-1) at which a resolved track is taken without asking the listener
+const CONFIDENT_MATCH = 0.85;
+
+// Alternatives returned with each resolved song
+const MAX_CANDIDATES = 5;
+
+// Songs resolved at the same time, to stay clear of Spotify's rate limits
+const RESOLVE_CONCURRENCY = 4;
+
+// How much title and artist similarity count towards a candidate's confidence
+const TITLE_WEIGHT = 0.6;
+const ARTIST_WEIGHT = 0.4;
+
+// Versions that are rarely what a recommendation means unless its title says so
+const VERSION_PATTERN = /\b(?:live|remix|karaoke|instrumental|acoustic|cover|tribute|demo|sped up|slowed)\b/i;
+const VERSION_PENALTY = 0.9;
+
+// Separators between artists in a credit, e.g. "Simon & Garfunkel" or "Daft Punk feat. Pharrell"
+const ARTIST_SEPARATOR = /\s*(?:,|&|\band\b|\bx\b|\bwith\b|\bfeat\.?|\bft\.?)\s*/i;
+
+// Combining marks that are accents on a Latin, Greek, or Cyrillic letter (after NFD)
+const ACCENTED_LETTER_PATTERN = /([\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}])\p{M}+/gu;
+
+// Lookups rarely change, so keep them for a week
+const trackCache = cache.createCache('tracks', { maxEntries: 5000, ttl: 7 * 24 * 60 * 60 });
+
+// Resolutions depend on the listener's market; a day keeps them fresh
+const resolutionCache = cache.createCache('resolutions', { maxEntries: 5000, ttl: 24 * 60 * 60 });
+
+// App access token, when it expires, and the request for a new one while it is in flight
+let appToken = null;
+let appTokenExpiresAt = 0;
+let appTokenRequest = null;
+
+/**
+ * Checks whether catalog lookups are configured
+ * @returns {boolean} Whether songs can be verified
+ */
+function isAvailable() {
+  return SPOTIFY_VERIFY && !!SPOTIFY_CLIENT_ID && !!SPOTIFY_CLIENT_SECRET;
+}
+
+/**
+ * Gets an app access token, requesting a new one shortly before the current one expires
+ * @returns {string} Access token
+ */
+async function getAppToken() {
+  if (appToken && Date.now() < appTokenExpiresAt - 60 * 1000) {
+    return appToken;
+  }
+
+  // Songs are verified in parallel; let them share one token request
+  if (!appTokenRequest) {
+    appTokenRequest = axios.post(
+      'https://accounts.spotify.com/api/token',
+      new URLSearchParams({ grant_type: 'client_credentials' }).toString(),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Authorization': `Basic ${Buffer.from(`${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`).toString('base64')}`
+        },
+        timeout: REQUEST_TIMEOUT
+      }
+    ).finally(() => {
+      appTokenRequest = null;
+    });
+  }
+
+  const response = await appTokenRequest;
+  appToken = response.data.access_token;
+  appTokenExpiresAt = Date.now() + response.data.expires_in * 1000;
+  return appToken;
+}
+
+/**
+ * Finds the catalog track for a song, trying a fielded search and then a free-text one
+ * @param {string} title - Song title
+ * @param {string} artist - Song artist
+ * @param {string|null} market - Country the track must be playable in (any when null)
+ * @returns {Object|null} Matched track with id, name, artists, and uri, or null if the song is not in the catalog
+ * @throws {Error} When Spotify cannot be reached
+ */
+async function findTrack(title, artist, market = null) {
+  const cacheKey = `${normalize(title)}|${normalize(artist)}|${market || ''}`;
+  const cached = trackCache.get(cacheKey);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  let match = null;
+
+  for (const query of [`track:${title} artist:${artist}`, `${title} ${artist}`]) {
+    const track = (await searchTracks(query, { market })).find(item => isMatch(item, title, artist));
+    if (track) {
+      match = {
+        id: track.id,
+        name: track.name,
+        artists: track.artists.map(trackArtist => trackArtist.name).join(', '),
+        uri: track.uri
+      };
+      break;
+    }
+  }
+
+  // Misses are cached too: a song the model invented will not appear by tomorrow
+  trackCache.set(cacheKey, match);
+  return match;
+}
+
+/**
+ * Resolves a song to the catalog track that best matches it
+ * Runs query strategies from strictest to loosest until one finds a confident match:
+ * the quoted track and artist, the title without versions or featured artists with the
+ * primary artist, and finally the title alone
+ * @param {string} title - Song title
+ * @param {string} artist - Song artist
+ * @param {Object} options - Search options
+ * @param {string|null} options.market - Market for the search ("from_token" with a user token)
+ * @param {string|null} options.accessToken - User access token; the app token is used without one
+ * @param {string} options.cacheScope - Distinguishes cached results (e.g. per user with "from_token")
+ * @returns {Object} Status (matched, ambiguous, or not_found), confidence of the best candidate,
+ * the strategy that found it, and the candidates (best first, each with its confidence)
+ * @throws {Error} When Spotify cannot be reached
+ */
+async function resolveTrack(title, artist, options = {}) {
+  const cacheKey = `${normalize(title)}|${normalize(artist)}|${options.market || ''}|${options.cacheScope || ''}`;
+  const cached = resolutionCache.get(cacheKey);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const candidates = new Map();
+  for (const { strategy, query } of buildQueries(title, artist)) {
+    const tracks = await searchTracks(query, options);
+    tracks.forEach(track => {
+      if (!candidates.has(track.id)) {
+        candidates.set(track.id, { track, confidence: scoreCandidate(track, title, artist), strategy });
+      }
+    });
+
+    if ([...candidates.values()].some(candidate => candidate.confidence >= CONFIDENT_MATCH)) {
+      break;
+    }
+  }
+
+  const ranked = [...candidates.values()]
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_CANDIDATES);
+  const best = ranked[0];
+
+  let status = 'not_found';
+  if (best) {
+    status = best.confidence >= CONFIDENT_MATCH ? 'matched' : 'ambiguous';
+  }
+
+  const resolution = {
+    status,
+    confidence: best ? best.confidence : 0,
+    strategy: best ? best.strategy : null,
+    candidates: ranked.map(({ track, confidence }) => ({ ...formatTrack(track), confidence }))
+  };
+
+  resolutionCache.set(cacheKey, resolution);
+  return resolution;
+}
+
+/**
+ * Resolves a list of songs a few at a time
+ * A song whose lookup fails gets status "error"; the others are still resolved
+ * @param {Array} songs - Songs with title and artist
+ * @param {Object} options - Search options (see resolveTrack)
+ * @returns {Array} Resolutions in the order of the songs
+ */
+async function resolveTracks(songs, options = {}) {
+  const results = new Array(songs.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < songs.length) {
+      const index = next++;
+      const { title, artist } = songs[index];
+      try {
+        results[index] = await resolveTrack(title, artist, options);
+      } catch (error) {
+        console.error(`Spotify resolve error for "${title}":`, error.response?.data || error.message);
+        results[index] = {
+          status: 'error',
+          confidence: 0,
+          strategy: null,
+          candidates: [],
+          error: error.response?.data?.error?.message || error.message
+        };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(RESOLVE_CONCURRENCY, songs.length) }, worker));
+  return results;
+}
+
+/**
+ * Searches the catalog for tracks
+ * @param {string} query - Spotify search query
+ * @param {Object} options - Search options
+ * @param {string|null} options.market - Market the tracks must be playable in
+ * @param {string|null} options.accessToken - User access token; the app token is used without one
+ * @returns {Array} Spotify track objects
+ */
+async function searchTracks(query, { market = null, accessToken = null } = {}) {
+  const token = accessToken || await getAppToken();
+
+  const response = await axios.get('https://api.spotify.com/v1/search', {
+    params: {
+      q: query,
+      type: 'track',
+      limit: SEARCH_LIMIT,
+      ...(market ? { market } : {})
+    },
+    headers: {
+      Authorization: `Bearer ${token}`
+    },
+    timeout: REQUEST_TIMEOUT
+  });
+
+  // With a market, Spotify flags tracks that cannot be played there
+  return response.data.tracks.items.filter(item => item.is_playable !== false);
+}
+
+/**
+ * Builds the search queries for a song, strictest first, without repeats
+ * @param {string} title - Song title
+ * @param {string} artist - Song artist
+ * @returns {Array} Queries with the name of their strategy
+ */
+function buildQueries(title, artist) {
+  // Quotes would end the quoted field early
+  const quote = text => String(text || '').replace(/"/g, '').trim();
+  const cleanTitle = quote(stripVersion(title)) || quote(title);
+  const primaryArtist = quote(String(artist || '').split(ARTIST_SEPARATOR)[0]) || quote(artist);
+
+  const queries = [
+    { strategy: 'exact', query: `track:"${quote(title)}" artist:"${quote(artist)}"` },
+    { strategy: 'normalized', query: `track:"${cleanTitle}" artist:"${primaryArtist}"` },
+    { strategy: 'title', query: cleanTitle }
+  ];
+
+  return queries.filter((entry, index) => queries.findIndex(other => other.query === entry.query) === index);
+}
+
+/**
+ * Scores how likely a catalog track is the requested song
+ * @param {Object} track - Spotify track object
+ * @param {string} title - Requested title
+ * @param {string} artist - Requested artist
+ * @returns {number} Confidence from 0 to 1
+ */
+function scoreCandidate(track, title, artist) {
+  const titleScore = similarity(normalize(track.name), normalize(title));
+
+  const requested = splitArtists(artist);
+  const artistScore = Math.max(0, ...track.artists.flatMap(trackArtist => {
+    const name = normalize(trackArtist.name);
+    return requested.map(candidate => similarity(name, candidate));
+  }));
+
+  // Live takes and remixes share the title once normalized, so prefer the original
+  const penalty = VERSION_PATTERN.test(track.name) && !VERSION_PATTERN.test(title) ? VERSION_PENALTY : 1;
+
+  return Math.round((TITLE_WEIGHT * titleScore + ARTIST_WEIGHT * artistScore) * penalty * 100) / 100;
+}
+
+/**
+ * Measures how alike two normalized strings are (Dice coefficient of their letter pairs)
+ * Pairs are made of code points, so characters outside the Basic Multilingual Plane
+ * (rarer CJK ideographs, emoji) count as one letter each
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity from 0 (nothing shared) to 1 (identical)
+ */
+function similarity(a, b) {
+  if (a === b) {
+    return a ? 1 : 0;
+  }
+
+  const first = [...a];
+  const second = [...b];
+  if (first.length < 2 || second.length < 2) {
+    return 0;
+  }
+
+  const pairs = new Map();
+  for (let i = 0; i < first.length - 1; i++) {
+    const pair = first[i] + first[i + 1];
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < second.length - 1; i++) {
+    const pair = second[i] + second[i + 1];
+    if (pairs.get(pair) > 0) {
+      pairs.set(pair, pairs.get(pair) - 1);
+      shared++;
+    }
+  }
+
+  return (2 * shared) / (first.length + second.length - 2);
+}
+
+/**
+ * Formats a Spotify track for clients
+ * @param {Object} track - Spotify track object
+ * @returns {Object} Track with id, name, artists, album, image, uri, and previewUrl
+ */
+function formatTrack(track) {
+  return {
+    id: track.id,
+    name: track.name,
+    artists: track.artists.map(trackArtist => trackArtist.name).join(', '),
+    album: track.album ? track.album.name : null,
+    image: track.album?.images?.[0]?.url || null,
+    uri: track.uri,
+    previewUrl: track.preview_url || null
+  };
+}
+
+/**
+ * Checks whether a catalog track is the requested song
+ * Titles must agree once versions ("Remastered", "Live", ...) and featured artists are
+ * set aside; one of the track's artists must be one of the requested artists
+ * @param {Object} track - Spotify track object
+ * @param {string} title - Requested title
+ * @param {string} artist - Requested artist
+ * @returns {boolean} Whether the track matches
+ */
+function isMatch(track, title, artist) {
+  if (normalize(track.name) !== normalize(title)) {
+    return false;
+  }
+
+  const requested = splitArtists(artist);
+  return track.artists.some(trackArtist => {
+    const name = normalize(trackArtist.name);
+    return requested.some(candidate => candidate === name);
+  });
+}
+
+/**
+ * Splits an artist credit into individual normalized names
+ * @param {string} artist - Artist credit, e.g. "Simon & Garfunkel" or "Daft Punk feat. Pharrell"
+ * @returns {Array<string>} Normalized names, including the full credit
+ */
+function splitArtists(artist) {
+  const parts = String(artist || '').split(ARTIST_SEPARATOR);
+  return [...new Set([artist, ...parts].map(normalize).filter(Boolean))];
+}
+
+/**
+ * Normalizes a title or artist for comparison
+ * Letters and digits of every script are kept, so non-Latin titles compare as themselves.
+ * Accents are only removed from Latin, Greek, and Cyrillic letters: in scripts such as
+ * Devanagari or Thai the combining marks are vowels and viramas that tell words apart
+ * @param {string} text - Title or artist
+ * @returns {string} Lowercase words without accents, punctuation, version notes, featured artists, or a leading "the";
+ * text made only of symbols (e.g. "÷") is kept lowercased rather than reduced to nothing
+ */
+function normalize(text) {
+  const normalized = stripVersion(text)
+    .normalize('NFD')
+    .replace(ACCENTED_LETTER_PATTERN, '$1')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^the\s+/, '');
+
+  return normalized || String(text || '').trim().toLowerCase();
+}
+
+/**
+ * Removes version notes and featured artists from a title, keeping its case
+ * @param {string} text - Title
+ * @returns {string} Title such as "Song" for "Song (Remastered 2009)", "Song [Live]",
+ * "Song - Radio Edit", or "Song feat. Someone"
+ */
+function stripVersion(text) {
+  return String(text || '')
+    .replace(/\s*[([].*?[)\]]/g, ' ')
+    .replace(/\s+-\s+.*$/, '')
+    .replace(/\s(?:feat|ft)\.?\s.*$/i, '')
+    .trim();
+}
+
+module.exports = {
+  isAvailable,
+  findTrack,
+  resolveTracks
+};
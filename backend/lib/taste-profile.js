@@ -0,0 +1,98 @@
+/**
+ * Taste Profile Service
+ * Summarizes a listener's Spotify top artists and their genres into a compact profile
+ * for the recommendation prompt. Profiles are cached in the listener's session
+ */
+
+const axios = require('axios');
+
+// Scope that grants access to the listener's top artists (requested only on opt-in)
+const TOP_READ_SCOPE = 'user-top-read';
+
+// Top artists read from Spotify, and how many of them and their genres the profile keeps
+const TOP_ARTIST_LIMIT = 30;
+const PROFILE_ARTISTS = 10;
+const PROFILE_GENRES = 8;
+
+// Top artists drift slowly, so a profile is rebuilt only after this long (ms)
+const PROFILE_TTL = 6 * 60 * 60 * 1000;
+
+// Spotify requests should not hold up recommendations for long
+const REQUEST_TIMEOUT = 5000;
+
+/**
+ * Fetches the listener's top artists and builds their profile
+ * @param {string} accessToken - User access token with the user-top-read scope
+ * @returns {Object} Profile (see buildProfile)
+ * @throws {Error} When Spotify cannot be reached or the scope was not granted
+ */
+async function fetchTasteProfile(accessToken) {
+  const response = await axios.get('https://api.spotify.com/v1/me/top/artists', {
+    params: {
+      limit: TOP_ARTIST_LIMIT,
+      time_range: 'medium_term'
+    },
+    headers: {
+      Authorization: `Bearer ${accessToken}`
+    },
+    timeout: REQUEST_TIMEOUT
+  });
+
+  return buildProfile(response.data.items || []);
+}
+
+/**
+ * Builds a profile from top artists
+ * @param {Array} artists - Spotify artist objects, most listened first
+ * @returns {Object} Profile with the top artist names and the genres they share, most prominent first
+ */
+function buildProfile(artists) {
+  // Genres of higher-ranked artists count more
+  const genreScores = new Map();
+  artists.forEach((artist, rank) => {
+    (artist.genres || []).forEach(genre => {
+      genreScores.set(genre, (genreScores.get(genre) || 0) + artists.length - rank);
+    });
+  });
+
+  return {
+    artists: artists.slice(0, PROFILE_ARTISTS).map(artist => artist.name),
+    genres: [...genreScores]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, PROFILE_GENRES)
+      .map(([genre]) => genre)
+  };
+}
+
+/**
+ * Gets the listener's profile from their session, fetching it when missing or stale
+ * @param {Object} session - Express session, where the profile is cached
+ * @param {string} accessToken - User access token with the user-top-read scope
+ * @returns {Object} Profile with artists and genres (both empty for listeners without history)
+ * @throws {Error} When the profile has to be fetched and Spotify cannot provide it
+ */
+async function getTasteProfile(session, accessToken) {
+  const cached = session.tasteProfile;
+  if (cached && Date.now() - cached.fetchedAt < PROFILE_TTL) {
+    return cached.profile;
+  }
+
+  const profile = await fetchTasteProfile(accessToken);
+  session.tasteProfile = { profile, fetchedAt: Date.now() };
+  return profile;
+}
+
+/**
+ * Checks whether a profile has anything to personalize with
+ * @param {Object|null} profile - Profile
+ * @returns {boolean} Whether it names any artists or genres
+ */
+function hasTaste(profile) {
+  return !!profile && (profile.artists.length > 0 || profile.genres.length > 0);
+}
+
+module.exports = {
+  TOP_READ_SCOPE,
+  getTasteProfile,
+  hasTaste
+};
@@ -0,0 +1,71 @@
+/**
+ * Text Utilities
+ * Cleans up OCR output into short, meaningful phrases for recommendations
+ */
+
+// Common English words that carry no meaning on their own
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from',
+  'had', 'has', 'have', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if', 'in',
+  'into', 'is', 'it', 'its', 'just', 'me', 'more', 'my', 'no', 'not', 'of', 'on',
+  'or', 'our', 'out', 'over', 'she', 'so', 'than', 'that', 'the', 'their', 'them',
+  'then', 'there', 'these', 'they', 'this', 'to', 'up', 'us', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your',
+  'www', 'com', 'http', 'https'
+]);
+
+// Limits that keep OCR noise out of the prompt
+const MAX_PHRASES = 5;
+const MAX_WORDS_PER_PHRASE = 4;
+const MAX_PHRASE_LENGTH = 40;
+const MIN_WORD_LENGTH = 3;
+
+/**
+ * Splits a string into meaningful words
+ * @param {string} text - Raw text
+ * @returns {Array<string>} Words with stop words, numbers, and fragments removed
+ */
+function meaningfulWords(text) {
+  return (text || '')
+    .split(/[^\p{L}\p{N}'&-]+/u)
+    .map(word => word.replace(/^['&-]+|['&-]+$/g, ''))
+    .filter(word =>
+      word.length >= MIN_WORD_LENGTH &&
+      !/^\d+$/.test(word) &&
+      !STOP_WORDS.has(word.toLowerCase())
+    );
+}
+
+/**
+ * Extracts short phrases from detected text blocks
+ * @param {Array} textBlocks - Text blocks with a `text` field, in reading order
+ * @returns {Array<string>} Up to MAX_PHRASES unique phrases
+ */
+function extractTextPhrases(textBlocks) {
+  const phrases = [];
+  const seen = new Set();
+
+  (textBlocks || []).forEach(block => {
+    // Each line of a block is a candidate phrase (sign lines, poster titles)
+    (block.text || '').split(/\n+/).forEach(line => {
+      const words = meaningfulWords(line).slice(0, MAX_WORDS_PER_PHRASE);
+      if (!words.length) return;
+
+      const phrase = words.join(' ').slice(0, MAX_PHRASE_LENGTH).trim();
+      const key = phrase.toLowerCase();
+
+      if (!seen.has(key)) {
+        seen.add(key);
+        phrases.push(phrase);
+      }
+    });
+  });
+
+  return phrases.slice(0, MAX_PHRASES);
+}
+
+module.exports = {
+  extractTextPhrases,
+  meaningfulWords
+};
@@ -0,0 +1,238 @@
+/**
+ * Google Cloud Vision Provider
+ * Extracts labels, dominant colors, face emotions, text, landmarks, and SafeSearch ratings using the Vision API
+ */
+
+const { ImageAnnotatorClient } = require('@google-cloud/vision');
+const fs = require('fs');
+const path = require('path');
+
+// Initialize Vision client
+let visionClient;
+
+try {
+  console.log('Initializing Vision client...');
+
+  // Check for chunked credentials (preferred for Vercel)
+  if (process.env.GOOGLE_CREDS_1) {
+    console.log('Using chunked Google credentials from environment variables');
+    try {
+      // Combine credential chunks (add more if needed)
+      const credentialsJson =
+        (process.env.GOOGLE_CREDS_1 || '') +
+        (process.env.GOOGLE_CREDS_2 || '') +
+        (process.env.GOOGLE_CREDS_3 || '') +
+        (process.env.GOOGLE_CREDS_4 || '');
+
+      const parsedCredentials = JSON.parse(credentialsJson);
+      visionClient = new ImageAnnotatorClient({
+        credentials: parsedCredentials
+      });
+      console.log('Vision client initialized with chunked credentials');
+    } catch (parseError) {
+      console.error('Error parsing chunked GOOGLE_CREDS:', parseError);
+      throw parseError;
+    }
+  }
+  // Try single environment variable (may not work if too large)
+  else if (process.env.GOOGLE_CREDENTIALS) {
+    console.log('Using Google credentials from environment variable');
+    try {
+      const parsedCredentials = JSON.parse(process.env.GOOGLE_CREDENTIALS);
+      visionClient = new ImageAnnotatorClient({
+        credentials: parsedCredentials
+      });
+      console.log('Vision client initialized with environment credentials');
+    } catch (parseError) {
+      console.error('Error parsing GOOGLE_CREDENTIALS:', parseError);
+      throw parseError;
+    }
+  }
+  // Local development with file
+  else if (process.env.NODE_ENV !== 'production' && fs.existsSync(path.join(process.cwd(), '.vercel/credentials.json'))) {
+    console.log('Using Google credentials file from .vercel/credentials.json');
+    visionClient = new ImageAnnotatorClient({
+      keyFilename: path.join(process.cwd(), '.vercel/credentials.json')
+    });
+  }
+  // Default credentials
+  else {
+    console.log('Using Application Default Credentials');
+    visionClient = new ImageAnnotatorClient();
+  }
+} catch (error) {
+  console.error('Failed to initialize Vision client:', error);
+}
+
+/**
+ * Analyzes an image buffer using Google Cloud Vision API
+ * @param {Buffer} imageBuffer - Buffer containing the image data
+ * @param {Object} options - Analysis options
+ * @param {boolean} options.detectLandmarks - Whether to run landmark detection
+ * @returns {Object} Raw features: labels, colors, face emotions, text blocks, landmarks, and SafeSearch ratings
+ */
+async function analyze(imageBuffer, { detectLandmarks = true } = {}) {
+  if (!visionClient) {
+    throw new Error('Vision client not initialized properly');
+  }
+
+  // Convert buffer to base64
+  const encodedImage = imageBuffer.toString('base64');
+
+  // Create request for the annotateImage method
+  const request = {
+    image: {
+      content: encodedImage
+    },
+    features: [
+      { type: 'LABEL_DETECTION', maxResults: 15 },
+      { type: 'IMAGE_PROPERTIES' },
+      { type: 'FACE_DETECTION', maxResults: 5 },
+      { type: 'TEXT_DETECTION' },
+      { type: 'SAFE_SEARCH_DETECTION' }
+    ]
+  };
+
+  if (detectLandmarks) {
+    request.features.push({ type: 'LANDMARK_DETECTION', maxResults: 1 });
+  }
+
+  console.log('Sending vision API request...');
+
+  // Call annotateImage method
+  const [result] = await visionClient.annotateImage(request);
+
+  console.log('Vision API response received');
+
+  // The client resolves with a per-image error instead of rejecting
+  if (result.error && result.error.message) {
+    throw new Error(result.error.message);
+  }
+
+  // Extract results from the combined response
+  const labelAnnotations = result.labelAnnotations || [];
+  const imageProperties = result.imagePropertiesAnnotation || {};
+  const faceAnnotations = result.faceAnnotations || [];
+  const textAnnotations = result.textAnnotations || [];
+  const landmarkAnnotations = result.landmarkAnnotations || [];
+  const safeSearchAnnotation = result.safeSearchAnnotation || {};
+
+  // Extract top 5 labels with scores
+  const labels = labelAnnotations.slice(0, 5).map(label => ({
+    description: label.description,
+    score: label.score
+  }));
+
+  // Extract dominant colors
+  const colors = imageProperties.dominantColors
+    ? imageProperties.dominantColors.colors.slice(0, 5).map(color => ({
+        red: color.color.red || 0,
+        green: color.color.green || 0,
+        blue: color.color.blue || 0,
+        score: color.score,
+        pixelFraction: color.pixelFraction
+      }))
+    : [];
+
+  // Extract face emotions if any faces detected
+  const emotions = faceAnnotations.map(face => ({
+    joy: getEmotionLikelihood(face.joyLikelihood),
+    sorrow: getEmotionLikelihood(face.sorrowLikelihood),
+    anger: getEmotionLikelihood(face.angerLikelihood),
+    surprise: getEmotionLikelihood(face.surpriseLikelihood)
+  }));
+
+  // Extract detected text as blocks in reading order
+  const text = extractTextBlocks(result.fullTextAnnotation, textAnnotations);
+
+  // Extract landmarks with the coordinates Vision associates with them
+  const landmarks = landmarkAnnotations.map(landmark => {
+    const latLng = landmark.locations && landmark.locations[0] && landmark.locations[0].latLng;
+    return {
+      description: landmark.description,
+      score: landmark.score,
+      latitude: latLng ? latLng.latitude : null,
+      longitude: latLng ? latLng.longitude : null
+    };
+  });
+
+  // Keep SafeSearch likelihoods as strings for threshold comparison
+  const safeSearch = ['adult', 'violence', 'racy', 'medical', 'spoof'].reduce((acc, category) => {
+    acc[category] = safeSearchAnnotation[category] || 'UNKNOWN';
+    return acc;
+  }, {});
+
+  return { labels, colors, emotions, text, landmarks, safeSearch };
+}
+
+/**
+ * Collects text blocks from a Vision OCR response
+ * @param {Object|null} fullTextAnnotation - Structured OCR result (pages, blocks, paragraphs)
+ * @param {Array} textAnnotations - Flat OCR result; the first entry holds the whole text
+ * @returns {Array} Text blocks with text and confidence
+ */
+function extractTextBlocks(fullTextAnnotation, textAnnotations) {
+  const pages = (fullTextAnnotation && fullTextAnnotation.pages) || [];
+  const blocks = [];
+
+  pages.forEach(page => {
+    (page.blocks || []).forEach(block => {
+      // Rebuild block text from symbols, honouring the detected breaks
+      const text = (block.paragraphs || []).map(paragraph =>
+        (paragraph.words || []).map(word =>
+          (word.symbols || []).map(symbol => {
+            const breakType = symbol.property && symbol.property.detectedBreak
+              ? symbol.property.detectedBreak.type
+              : null;
+            if (breakType === 'LINE_BREAK' || breakType === 'EOL_SURE_SPACE') return symbol.text + '\n';
+            if (breakType === 'SPACE' || breakType === 'SURE_SPACE') return symbol.text + ' ';
+            return symbol.text;
+          }).join('')
+        ).join('')
+      ).join('\n').trim();
+
+      if (text) {
+        blocks.push({ text, confidence: block.confidence || 0 });
+      }
+    });
+  });
+
+  // Fall back to the flat annotation when no structured result is present
+  if (!blocks.length && textAnnotations.length && textAnnotations[0].description) {
+    blocks.push({ text: textAnnotations[0].description.trim(), confidence: textAnnotations[0].score || 0 });
+  }
+
+  return blocks;
+}
+
+/**
+ * Maps Google Vision likelihood string to numeric score
+ * @param {string} likelihood - Google Vision likelihood string
+ * @returns {number} Numeric score (0-1)
+ */
+function getEmotionLikelihood(likelihood) {
+  const likelihoodMap = {
+    'VERY_UNLIKELY': 0.0,
+    'UNLIKELY': 0.25,
+    'POSSIBLE': 0.5,
+    'LIKELY': 0.75,
+    'VERY_LIKELY': 1.0
+  };
+  return likelihoodMap[likelihood] || 0;
+}
+
+/**
+ * Checks if the Vision client is properly initialized
+ * @returns {boolean} Whether the client is initialized
+ */
+function isAvailable() {
+  return !!visionClient;
+}
+
+module.exports = {
+  name: 'google',
+  // Returns SafeSearch ratings, so its results can be moderated
+  moderates: true,
+  analyze,
+  isAvailable
+};
@@ -0,0 +1,182 @@
+/**
+ * Local Vision Provider
+ * Offline analyzer that derives colors, brightness, and contrast from raw pixels
+ */
+
+const sharp = require('sharp');
+
+// Images are downsampled before analysis; palette statistics are stable at this size
+const SAMPLE_SIZE = 64;
+
+// Bits kept per channel when bucketing pixels into a palette (3 bits = 512 buckets)
+const QUANTIZE_BITS = 3;
+
+// Palette entries closer than this (RGB euclidean distance) are treated as one color
+const MERGE_DISTANCE = 48;
+
+/**
+ * Analyzes an image buffer without any external service
+ * @param {Buffer} imageBuffer - Buffer containing the image data
+ * @returns {Object} Raw features: labels, colors, emotions, and tonal properties
+ */
+async function analyze(imageBuffer) {
+  const { data, info } = await sharp(imageBuffer)
+    .rotate()
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixelCount = info.width * info.height;
+  const shift = 8 - QUANTIZE_BITS;
+  const buckets = new Map();
+
+  let luminanceSum = 0;
+  let luminanceSquaredSum = 0;
+  let saturationSum = 0;
+  let warmthSum = 0;
+
+  for (let i = 0; i < data.length; i += info.channels) {
+    const red = data[i];
+    const green = data[i + 1];
+    const blue = data[i + 2];
+
+    // Accumulate per-bucket sums so each palette entry is the mean of its pixels
+    const key = ((red >> shift) << (QUANTIZE_BITS * 2)) | ((green >> shift) << QUANTIZE_BITS) | (blue >> shift);
+    const bucket = buckets.get(key) || { red: 0, green: 0, blue: 0, count: 0 };
+    bucket.red += red;
+    bucket.green += green;
+    bucket.blue += blue;
+    bucket.count += 1;
+    buckets.set(key, bucket);
+
+    // Rec. 601 luma, normalized to 0-1
+    const luminance = (red * 0.299 + green * 0.587 + blue * 0.114) / 255;
+    luminanceSum += luminance;
+    luminanceSquaredSum += luminance * luminance;
+
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    saturationSum += max === 0 ? 0 : (max - min) / max;
+    warmthSum += (red - blue) / 255;
+  }
+
+  const brightness = luminanceSum / pixelCount;
+  const variance = Math.max(0, luminanceSquaredSum / pixelCount - brightness * brightness);
+
+  const properties = {
+    brightness,
+    // A standard deviation of 0.5 is the maximum possible for values in 0-1
+    contrast: Math.min(1, Math.sqrt(variance) / 0.5),
+    saturation: saturationSum / pixelCount,
+    warmth: warmthSum / pixelCount
+  };
+
+  // Take the most populated buckets as the dominant colors
+  const colors = mergeSimilarBuckets([...buckets.values()].sort((a, b) => b.count - a.count))
+    .slice(0, 5)
+    .map(bucket => ({
+      red: Math.round(bucket.red / bucket.count),
+      green: Math.round(bucket.green / bucket.count),
+      blue: Math.round(bucket.blue / bucket.count),
+      score: bucket.count / pixelCount,
+      pixelFraction: bucket.count / pixelCount
+    }));
+
+  return {
+    labels: describeTones(properties),
+    colors,
+    // Face, text, and landmark detection are not available offline
+    emotions: [],
+    text: [],
+    landmarks: [],
+    properties
+  };
+}
+
+/**
+ * Folds buckets that straddle a quantization boundary into their larger neighbour
+ * @param {Array} buckets - Color buckets sorted by pixel count, largest first
+ * @returns {Array} Merged buckets, still sorted by pixel count
+ */
+function mergeSimilarBuckets(buckets) {
+  const merged = [];
+
+  buckets.forEach(bucket => {
+    const mean = [bucket.red, bucket.green, bucket.blue].map(sum => sum / bucket.count);
+    const target = merged.find(candidate => {
+      const distance = Math.hypot(
+        candidate.red / candidate.count - mean[0],
+        candidate.green / candidate.count - mean[1],
+        candidate.blue / candidate.count - mean[2]
+      );
+      return distance < MERGE_DISTANCE;
+    });
+
+    if (target) {
+      target.red += bucket.red;
+      target.green += bucket.green;
+      target.blue += bucket.blue;
+      target.count += bucket.count;
+    } else {
+      merged.push({ ...bucket });
+    }
+  });
+
+  return merged.sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Builds descriptive labels from tonal properties, standing in for object labels
+ * @param {Object} properties - Brightness, contrast, saturation, and warmth
+ * @returns {Array} Labels with description and score
+ */
+function describeTones({ brightness, contrast, saturation, warmth }) {
+  const labels = [];
+
+  if (brightness >= 0.65) {
+    labels.push({ description: 'Bright', score: brightness });
+  } else if (brightness <= 0.3) {
+    labels.push({ description: 'Dark', score: 1 - brightness });
+  }
+
+  if (contrast >= 0.55) {
+    labels.push({ description: 'High contrast', score: contrast });
+  } else if (contrast <= 0.25) {
+    labels.push({ description: 'Soft light', score: 1 - contrast });
+  }
+
+  if (saturation >= 0.5) {
+    labels.push({ description: 'Vivid colors', score: saturation });
+  } else if (saturation <= 0.15) {
+    labels.push({ description: 'Muted colors', score: 1 - saturation });
+  }
+
+  if (warmth >= 0.08) {
+    labels.push({ description: 'Warm tones', score: Math.min(1, 0.5 + warmth) });
+  } else if (warmth <= -0.08) {
+    labels.push({ description: 'Cool tones', score: Math.min(1, 0.5 - warmth) });
+  }
+
+  // Always return at least one label so recommendations have something to work with
+  if (labels.length === 0) {
+    labels.push({ description: 'Balanced tones', score: 0.5 });
+  }
+
+  return labels.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * The local analyzer has no external requirements
+ * @returns {boolean} Always true
+ */
+function isAvailable() {
+  return true;
+}
+
+module.exports = {
+  name: 'local',
+  moderates: false,
+  analyze,
+  isAvailable
+};
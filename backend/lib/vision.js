@@ -1,158 +1,125 @@
 /**
- * Google Cloud Vision Service
+ * Vision Service
  * Analyzes images to extract labels, colors, and emotional content
+ * using a pluggable provider (Google Cloud Vision or the offline local analyzer)
  */
 
-const { ImageAnnotatorClient } = require('@google-cloud/vision');
 const fs = require('fs');
-const path = require('path');
+const { extractTextPhrases, meaningfulWords } = require('./text');
+const { buildPlace } = require('./location');
+const { getColorName, analyzePalette } = require('./color');
+const { evaluateSafeSearch, isEnabled: isModerationEnabled } = require('./moderation');
+const { computeMood } = require('./mood');
+const { computeTargets } = require('./audio-features');
+const googleProvider = require('./vision-providers/google');
+const localProvider = require('./vision-providers/local');
 
-// Initialize Vision client
-let visionClient;
+const providers = {
+  google: googleProvider,
+  local: localProvider
+};
 
-try {
-  console.log('Initializing Vision client...');
-  
-  // Check for chunked credentials (preferred for Vercel)
-  if (process.env.GOOGLE_CREDS_1) {
-    console.log('Using chunked Google credentials from environment variables');
-    try {
-      // Combine credential chunks (add more if needed)
-      const credentialsJson = 
-        (process.env.GOOGLE_CREDS_1 || '') + 
-        (process.env.GOOGLE_CREDS_2 || '') + 
-        (process.env.GOOGLE_CREDS_3 || '') + 
-        (process.env.GOOGLE_CREDS_4 || '');
-      
-      const parsedCredentials = JSON.parse(credentialsJson);
-      visionClient = new ImageAnnotatorClient({
-        credentials: parsedCredentials
-      });
-      console.log('Vision client initialized with chunked credentials');
-    } catch (parseError) {
-      console.error('Error parsing chunked GOOGLE_CREDS:', parseError);
-      throw parseError;
-    }
-  } 
-  // Try single environment variable (may not work if too large)
-  else if (process.env.GOOGLE_CREDENTIALS) {
-    console.log('Using Google credentials from environment variable');
-    try {
-      const parsedCredentials = JSON.parse(process.env.GOOGLE_CREDENTIALS);
-      visionClient = new ImageAnnotatorClient({
-        credentials: parsedCredentials
-      });
-      console.log('Vision client initialized with environment credentials');
-    } catch (parseError) {
-      console.error('Error parsing GOOGLE_CREDENTIALS:', parseError);
-      throw parseError;
-    }
-  } 
-  // Local development with file
-  else if (process.env.NODE_ENV !== 'production' && fs.existsSync(path.join(process.cwd(), '.vercel/credentials.json'))) {
-    console.log('Using Google credentials file from .vercel/credentials.json');
-    visionClient = new ImageAnnotatorClient({
-      keyFilename: path.join(process.cwd(), '.vercel/credentials.json')
-    });
-  } 
-  // Default credentials
-  else {
-    console.log('Using Application Default Credentials');
-    visionClient = new ImageAnnotatorClient();
+// 'google', 'local', or 'auto' (Google first, local analyzer as fallback)
+const VISION_PROVIDER = (process.env.VISION_PROVIDER || 'auto').toLowerCase();
+
+/**
+ * Resolves the ordered list of providers to try for an analysis
+ * @returns {Array} Providers in the order they should be attempted
+ */
+function getProviderChain() {
+  if (providers[VISION_PROVIDER]) {
+    return [providers[VISION_PROVIDER]];
   }
-} catch (error) {
-  console.error('Failed to initialize Vision client:', error);
+
+  return [googleProvider, localProvider].filter(provider => provider.isAvailable());
 }
 
 /**
- * Analyzes an image buffer using Google Cloud Vision API
+ * Analyzes an image buffer with the configured vision provider
  * @param {Buffer} imageBuffer - Buffer containing the image data
- * @returns {Object} Analysis results containing labels, colors, and emotions
+ * @param {Object} options - Analysis options
+ * @param {Object} options.metadata - Photo metadata (GPS, capture time) read at upload
+ * @param {boolean} options.includeLocation - Whether location may be inferred (landmarks)
+ * @returns {Object} Analysis results containing labels, colors, emotions, and mood
  */
-async function analyzeImageBuffer(imageBuffer) {
-  try {
-    if (!visionClient) {
-      throw new Error('Vision client not initialized properly');
+async function analyzeImageBuffer(imageBuffer, { metadata = {}, includeLocation = true } = {}) {
+  let lastError = new Error('No vision provider available');
+
+  for (const provider of getProviderChain()) {
+    try {
+      const features = await provider.analyze(imageBuffer, { detectLandmarks: includeLocation });
+      return buildAnalysis(features, provider.name, metadata);
+    } catch (error) {
+      console.error(`Vision provider "${provider.name}" failed:`, error.message);
+      lastError = error;
     }
-    
-    // Convert buffer to base64
-    const encodedImage = imageBuffer.toString('base64');
-    
-    // Create request for the annotateImage method
-    const request = {
-      image: {
-        content: encodedImage
-      },
-      features: [
-        { type: 'LABEL_DETECTION', maxResults: 15 },
-        { type: 'IMAGE_PROPERTIES' },
-        { type: 'FACE_DETECTION', maxResults: 5 }
-      ]
-    };
-    
-    console.log('Sending vision API request...');
-    
-    // Call annotateImage method
-    const [result] = await visionClient.annotateImage(request);
-    
-    console.log('Vision API response received');
-    
-    // Extract results from the combined response
-    const labelAnnotations = result.labelAnnotations || [];
-    const imageProperties = result.imagePropertiesAnnotation || {};
-    const faceAnnotations = result.faceAnnotations || [];
-    
-    // Extract top 5 labels with scores
-    const labels = labelAnnotations.slice(0, 5).map(label => ({
-      description: label.description,
-      score: label.score
-    }));
-    
-    // Extract dominant colors
-    const colors = imageProperties.dominantColors 
-      ? imageProperties.dominantColors.colors.slice(0, 5).map(color => ({
-          red: color.color.red,
-          green: color.color.green,
-          blue: color.color.blue,
-          score: color.score,
-          pixelFraction: color.pixelFraction,
-          hex: rgbToHex(color.color.red, color.color.green, color.color.blue)
-        }))
-      : [];
-    
-    // Extract face emotions if any faces detected
-    const emotions = faceAnnotations.map(face => ({
-      joy: getEmotionLikelihood(face.joyLikelihood),
-      sorrow: getEmotionLikelihood(face.sorrowLikelihood),
-      anger: getEmotionLikelihood(face.angerLikelihood),
-      surprise: getEmotionLikelihood(face.surpriseLikelihood)
-    }));
-    
-    // Get dominant emotion across all faces
-    const dominantEmotion = getDominantEmotion(emotions);
-    
-    // Generate color names based on RGB values
-    const colorNames = colors.map(color => getColorName(color));
-    
-    // Extract keywords from labels and colors for recommendation
-    const keywords = extractKeywords(labels, colorNames, dominantEmotion);
-    
-    return {
-      labels,
-      colors,
-      emotions: emotions.length ? emotions : null,
-      dominantEmotion,
-      colorNames,
-      keywords
-    };
-  } catch (error) {
-    console.error('Vision API error:', error);
-    throw new Error(`Vision API analysis failed: ${error.message}`);
   }
+
+  throw new Error(`Vision API analysis failed: ${lastError.message}`);
+}
+
+/**
+ * Turns raw provider features into the analysis result returned to clients
+ * @param {Object} features - Labels, colors, emotions, text blocks, landmarks, optional SafeSearch ratings,
+ *   and optional pixel-level properties
+ * @param {string} providerName - Name of the provider that produced the features
+ * @param {Object} metadata - Photo metadata (GPS, capture time)
+ * @returns {Object} Analysis results
+ */
+function buildAnalysis(features, providerName, metadata = {}) {
+  const labels = features.labels || [];
+
+  const colors = (features.colors || []).map(color => ({
+    ...color,
+    hex: rgbToHex(color.red, color.green, color.blue)
+  }));
+
+  const emotions = features.emotions || [];
+  const text = features.text || [];
+
+  const landmarks = features.landmarks || [];
+
+  // Combine GPS, capture time, and the top landmark into a place description
+  const place = buildPlace(metadata, landmarks[0] || null);
+
+  // Reduce detected text to a few meaningful phrases
+  const textPhrases = extractTextPhrases(text);
+
+  // Get dominant emotion across all faces
+  const dominantEmotion = getDominantEmotion(emotions);
+
+  // Name each color after its perceptually closest named color
+  const colorNames = colors.map(color => getColorName(color));
+
+  // Extract keywords from labels and colors for recommendation
+  const keywords = extractKeywords(labels, colorNames, dominantEmotion, textPhrases);
+
+  const analysis = {
+    labels,
+    colors,
+    emotions: emotions.length ? emotions : null,
+    dominantEmotion,
+    colorNames,
+    text,
+    textPhrases,
+    place,
+    keywords,
+    palette: buildPalette(colors, features.properties),
+    moderation: evaluateSafeSearch(features.safeSearch || null),
+    provider: providerName
+  };
+  
+  // Continuous valence/energy from labels, scene, palette, brightness, and faces
+  analysis.mood = computeMood(analysis);
+  
+  // Spotify audio-feature targets used to rank track matches
+  analysis.audioTargets = computeTargets(analysis);
+  
+  return analysis;
 }
 
 /**
- * Analyzes an image using Google Cloud Vision API
+ * Analyzes an image file with the configured vision provider
  * @param {string} imagePath - Path to the image file
  * @returns {Object} Analysis results containing labels, colors, and emotions
  */
@@ -183,22 +150,6 @@ function rgbToHex(r, g, b) {
     .join('');
 }
 
-/**
- * Maps Google Vision likelihood string to numeric score
- * @param {string} likelihood - Google Vision likelihood string
- * @returns {number} Numeric score (0-1)
- */
-function getEmotionLikelihood(likelihood) {
-  const likelihoodMap = {
-    'VERY_UNLIKELY': 0.0,
-    'UNLIKELY': 0.25,
-    'POSSIBLE': 0.5,
-    'LIKELY': 0.75,
-    'VERY_LIKELY': 1.0
-  };
-  return likelihoodMap[likelihood] || 0;
-}
-
 /**
  * Gets the dominant emotion from a list of emotion scores
  * @param {Array} emotions - List of emotion objects
@@ -233,67 +184,21 @@ function getDominantEmotion(emotions) {
 }
 
 /**
- * Gets approximate color name from RGB values
- * @param {Object} color - RGB color object
- * @returns {string} Color name
+ * Computes palette metrics, preferring pixel-level measurements when the provider has them
+ * @param {Array} colors - Dominant colors
+ * @param {Object|undefined} properties - Pixel-level brightness, contrast, and saturation
+ * @returns {Object} Palette metrics including warmth and harmony type
  */
-function getColorName(color) {
-  const { red, green, blue } = color;
-  
-  // Simple algorithm for basic color naming
-  // This could be enhanced with a more sophisticated color naming library
-  
-  // Check for grayscale first
-  if (Math.abs(red - green) < 20 && Math.abs(green - blue) < 20 && Math.abs(red - blue) < 20) {
-    if (red < 50) return 'black';
-    if (red < 120) return 'dark gray';
-    if (red < 200) return 'gray';
-    return 'white';
-  }
-  
-  // Check for primary and secondary colors
-  const max = Math.max(red, green, blue);
-  const min = Math.min(red, green, blue);
-  const delta = max - min;
-  
-  // Determine hue
-  let hue;
-  if (delta === 0) {
-    hue = 0;
-  } else if (max === red) {
-    hue = ((green - blue) / delta) % 6;
-  } else if (max === green) {
-    hue = (blue - red) / delta + 2;
-  } else {
-    hue = (red - green) / delta + 4;
-  }
-  
-  hue = Math.round(hue * 60);
-  if (hue < 0) hue += 360;
-  
-  // Determine saturation
-  const saturation = max === 0 ? 0 : delta / max;
+function buildPalette(colors, properties = {}) {
+  const palette = analyzePalette(colors);
   
-  // Determine brightness
-  const brightness = max / 255;
-  
-  // Map to color names based on HSB values
-  if (saturation < 0.1) {
-    return brightness < 0.5 ? 'dark gray' : 'light gray';
-  }
-  
-  if (brightness < 0.2) return 'dark';
-  
-  if (hue >= 345 || hue < 15) return brightness < 0.5 ? 'dark red' : 'red';
-  if (hue >= 15 && hue < 45) return brightness < 0.5 ? 'brown' : 'orange';
-  if (hue >= 45 && hue < 75) return brightness < 0.5 ? 'olive' : 'yellow';
-  if (hue >= 75 && hue < 165) return brightness < 0.5 ? 'dark green' : 'green';
-  if (hue >= 165 && hue < 195) return brightness < 0.5 ? 'teal' : 'cyan';
-  if (hue >= 195 && hue < 255) return brightness < 0.5 ? 'navy' : 'blue';
-  if (hue >= 255 && hue < 285) return brightness < 0.5 ? 'dark purple' : 'purple';
-  if (hue >= 285 && hue < 345) return brightness < 0.5 ? 'dark pink' : 'pink';
+  ['brightness', 'contrast', 'saturation'].forEach(key => {
+    if (Number.isFinite(properties[key])) {
+      palette[key] = properties[key];
+    }
+  });
   
-  return 'unknown';
+  return palette;
 }
 
 /**
@@ -301,9 +206,10 @@ function getColorName(color) {
  * @param {Array} labels - Detected labels
  * @param {Array} colorNames - Detected color names
  * @param {string|null} dominantEmotion - Dominant emotion
+ * @param {Array<string>} textPhrases - Phrases from text detected in the image
  * @returns {Array} Keywords for recommendation
  */
-function extractKeywords(labels, colorNames, dominantEmotion) {
+function extractKeywords(labels, colorNames, dominantEmotion, textPhrases = []) {
   // Extract top label descriptions
   const labelKeywords = labels.map(label => label.description);
   
@@ -322,23 +228,54 @@ function extractKeywords(labels, colorNames, dominantEmotion) {
     emotionKeywords = emotionMap[dominantEmotion] || [];
   }
   
+  // Use the most prominent words from detected text, limiting to top 3
+  const textKeywords = meaningfulWords(textPhrases.join(' ')).slice(0, 3);
+  
   // Combine all keywords and remove duplicates
-  const allKeywords = [...labelKeywords, ...colorKeywords, ...emotionKeywords];
+  const allKeywords = [...labelKeywords, ...colorKeywords, ...emotionKeywords, ...textKeywords];
   
   // Return unique keywords
   return [...new Set(allKeywords)];
 }
 
 /**
- * Checks if the Vision client is properly initialized
- * @returns {boolean} Whether the client is initialized
+ * Checks if at least one vision provider is usable
+ * @returns {boolean} Whether analysis can be performed
  */
 function isInitialized() {
-  return !!visionClient;
+  return getProviderChain().length > 0;
+}
+
+/**
+ * Checks whether analyses are expected to carry SafeSearch results
+ * True when a provider that moderates is configured and some category is moderated, so a
+ * fallback to a provider without SafeSearch (auto mode during a Google outage) can be told apart
+ * @returns {boolean} Whether an unmoderated analysis means moderation was unavailable
+ */
+function expectsModeration() {
+  return isModerationEnabled() && getProviderChain().some(provider => provider.moderates);
+}
+
+/**
+ * Describes the configured provider setup for diagnostics
+ * @returns {Object} Configured mode and availability of each provider
+ */
+function getProviderStatus() {
+  return {
+    mode: VISION_PROVIDER,
+    chain: getProviderChain().map(provider => provider.name),
+    available: Object.keys(providers).reduce((acc, name) => {
+      acc[name] = providers[name].isAvailable();
+      return acc;
+    }, {})
+  };
 }
 
 module.exports = {
   analyzeImage,
   analyzeImageBuffer,
-  isInitialized
-}; 
\ No newline at end of file
+  buildAnalysis,
+  isInitialized,
+  expectsModeration,
+  getProviderStatus
+};
@@ -3,24 +3,44 @@
  * Handles image analysis and song recommendation endpoints
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const visionService = require('../lib/vision');
-const openaiService = require('../lib/openai');
+const recommendationService = require('../lib/recommendations');
+const llm = require('../lib/llm');
+const locationService = require('../lib/location');
+const albumService = require('../lib/album');
+const fingerprint = require('../lib/fingerprint');
+const preprocess = require('../lib/preprocess');
+const moderation = require('../lib/moderation');
+const keyframes = require('../lib/keyframes');
+const cache = require('../lib/cache');
+const localeService = require('../lib/locale');
+const promptTemplates = require('../lib/prompt-templates');
+const tasteProfile = require('../lib/taste-profile');
+const { refreshTokenIfNeeded } = require('../lib/spotify-auth');
 
-// In-memory storage for uploaded images and analysis results
-const imageCache = new Map();
-const analysisCache = new Map();
+// Uploaded images and their analysis results (see lib/image-store.js)
+const { imageCache, analysisCache } = require('../lib/image-store');
+
+// Refinement turns kept in the session for the list being refined
+const MAX_REFINEMENT_TURNS = 20;
 
 // Configure multer for in-memory storage (compatible with serverless)
 const storage = multer.memoryStorage();
 
+// The real format is sniffed from the file's bytes after upload; browsers often
+// send HEIC photos as application/octet-stream, so let those through here
 const fileFilter = (req, file, cb) => {
-  if (file.mimetype.startsWith('image/')) {
+  if (file.mimetype.startsWith('image/') ||
+      file.mimetype === 'video/mp4' ||
+      file.mimetype === 'video/webm' ||
+      file.mimetype === 'application/octet-stream') {
     cb(null, true);
   } else {
-    cb(new Error('Only image files are allowed!'), false);
+    cb(new Error('Only image files and MP4/WebM clips are allowed!'), false);
   }
 };
 
@@ -28,40 +48,351 @@ const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: 20 * 1024 * 1024 // 20MB limit (room for short video clips)
   }
 });
 
+/**
+ * Normalizes an uploaded file and stores it in the image cache, detecting duplicates
+ * Animated GIFs and videos are sampled into keyframes instead of being normalized
+ * @param {Object} file - Multer file with an in-memory buffer
+ * @param {boolean} stripLocation - Whether to discard GPS data
+ * @returns {Object} Image ID, MIME type, and duplicate info (duplicate, duplicateType, duplicateOf)
+ */
+async function storeImage(file, stripLocation) {
+  // Read GPS and capture time before normalization drops the metadata
+  const metadata = await locationService.readPhotoMetadata(file.buffer, {
+    includeLocation: !stripLocation
+  });
+
+  const format = preprocess.sniffFormat(file.buffer);
+  const clip = await keyframes.isClip(file.buffer, format)
+    ? await keyframes.extractClip(file.buffer, format)
+    : null;
+
+  // Orient, convert, and downscale; embedded metadata (including GPS) is not kept
+  const { buffer, mimeType, originalFormat } = clip
+    ? clip.preview
+    : await preprocess.normalizeImage(file.buffer);
+
+  // Identical bytes always map to the same ID (clips hash the whole upload, not the preview).
+  // Normalized bytes are the same with or without GPS, so stripped uploads get IDs of their own
+  // and never reuse an entry whose metadata still has the location
+  const contentId = fingerprint.contentHash(clip ? file.buffer : buffer);
+  const fileId = stripLocation
+    ? fingerprint.contentHash(Buffer.from(`${contentId}:location-stripped`))
+    : contentId;
+  if (imageCache.has(fileId)) {
+    console.log('Exact duplicate upload:', fileId);
+    return { fileId, mimeType, duplicate: true, duplicateType: 'exact', duplicateOf: fileId };
+  }
+  
+  // Re-encoded or resized copies reuse the original's analysis; a clip's preview
+  // says too little about the whole clip to match on
+  const perceptualHash = clip ? null : await fingerprint.perceptualHash(buffer);
+  const duplicateOf = perceptualHash ? findNearDuplicate(perceptualHash, stripLocation) : null;
+  
+  // Store the image buffer in the image cache
+  imageCache.set(fileId, {
+    buffer,
+    mimeType,
+    originalFormat,
+    metadata,
+    stripLocation,
+    perceptualHash,
+    duplicateOf,
+    clip: clip ? { keyframes: clip.keyframes, motion: clip.motion, duration: clip.duration } : null
+  });
+  
+  // Analyze right away so flagged images are evicted before they can be served back
+  try {
+    await getAnalysis(fileId);
+  } catch (error) {
+    if (moderation.isModerationError(error)) throw error;
+    // Keep the image; /analyze retries and moderates again
+    console.error('Upload-time analysis failed for', fileId, error.message);
+  }
+  
+  if (duplicateOf) {
+    console.log('Near-duplicate upload:', fileId, 'of', duplicateOf);
+    return { fileId, mimeType, duplicate: true, duplicateType: 'near', duplicateOf };
+  }
+  
+  return { fileId, mimeType, duplicate: false, duplicateType: null, duplicateOf: null };
+}
+
+/**
+ * Finds a stored image that looks the same as a new upload
+ * @param {string} perceptualHash - Perceptual hash of the new upload
+ * @param {boolean} stripLocation - Only images with the same location setting can share an analysis
+ * @returns {string|null} ID of the original image, or null
+ */
+function findNearDuplicate(perceptualHash, stripLocation) {
+  for (const [fileId, image] of imageCache) {
+    if (image.perceptualHash &&
+        image.stripLocation === stripLocation &&
+        fingerprint.isNearDuplicate(perceptualHash, image.perceptualHash)) {
+      // Point at the first upload so chains of copies share one analysis
+      return image.duplicateOf || fileId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Removes an image, its analysis, and any near-duplicates that share it from the caches
+ * @param {string} fileId - Image ID
+ */
+function discardImage(fileId) {
+  for (const [id, image] of imageCache) {
+    if (id === fileId || image.duplicateOf === fileId) {
+      imageCache.delete(id);
+      analysisCache.delete(id);
+    }
+  }
+}
+
+/**
+ * Analyzes a stored image, using cached results when available
+ * Images that fail moderation are discarded and an IMAGE_FLAGGED error is thrown; so are images
+ * that could not be moderated when MODERATION_REQUIRED is set (MODERATION_UNAVAILABLE). Otherwise
+ * such images are analyzed with moderation.unavailable set
+ * @param {string} filename - Image ID returned by an upload endpoint
+ * @returns {Object|null} Analysis results, or null if the image is unknown
+ */
+async function getAnalysis(filename) {
+  // Check if we have cached results
+  const cachedAnalysis = analysisCache.get(filename);
+  if (cachedAnalysis) {
+    console.log('Returning cached analysis for', filename);
+    return cachedAnalysis;
+  }
+
+  // Get image from cache
+  const image = imageCache.get(filename);
+  if (!image) {
+    console.log('Image not found in cache:', filename);
+    return null;
+  }
+
+  let analysisResults;
+  
+  if (image.duplicateOf && imageCache.has(image.duplicateOf)) {
+    // Near-duplicates share the original's analysis instead of paying for another call
+    console.log('Reusing analysis of', image.duplicateOf, 'for near-duplicate', filename);
+    analysisResults = await getAnalysis(image.duplicateOf);
+  } else if (image.clip) {
+    console.log('Analyzing', image.clip.keyframes.length, 'keyframes of clip:', filename);
+    
+    // Keyframes are analyzed one by one and merged by the screen time they cover
+    analysisResults = await keyframes.analyzeClip(image.clip, {
+      metadata: image.metadata,
+      includeLocation: !image.stripLocation
+    });
+  } else {
+    console.log('Analyzing image:', filename);
+    
+    // Analyze image (Google Cloud Vision or the local analyzer)
+    analysisResults = await visionService.analyzeImageBuffer(image.buffer, {
+      metadata: image.metadata,
+      includeLocation: !image.stripLocation
+    });
+  }
+  
+  if (analysisResults.moderation && analysisResults.moderation.flagged) {
+    console.log('Image flagged by moderation:', filename, analysisResults.moderation.categories);
+    discardImage(filename);
+    throw moderation.createFlaggedError(analysisResults.moderation);
+  }
+  
+  // A fallback provider without SafeSearch lets images through unchecked unless moderation is required
+  if (visionService.expectsModeration() && !(analysisResults.moderation && analysisResults.moderation.checked)) {
+    if (moderation.isRequired()) {
+      console.log('Image could not be moderated:', filename);
+      discardImage(filename);
+      throw moderation.createUncheckedError();
+    }
+    console.warn('Image analyzed without moderation:', filename);
+    analysisResults.moderation = { ...analysisResults.moderation, checked: false, unavailable: true };
+  }
+  
+  // Cache the results
+  analysisCache.set(filename, analysisResults);
+  
+  console.log('Analysis complete for:', filename);
+  return analysisResults;
+}
+
+/**
+ * Reads the stripLocation flag from a multipart form body
+ * @param {Object} body - Parsed form fields
+ * @returns {boolean} Whether location data should be stripped
+ */
+function wantsLocationStripped(body) {
+  return body.stripLocation === 'true' || body.stripLocation === true;
+}
+
+/**
+ * Gets the session's prompt variant, assigning one on the first recommendation
+ * Storing it starts the session, so the same variant is used until the session ends
+ * @param {Object} req - Express request
+ * @returns {string} Prompt template variant ID
+ */
+function getPromptVariant(req) {
+  req.session.promptVariant = promptTemplates.assignVariant(req.sessionID, req.session.promptVariant);
+  return req.session.promptVariant;
+}
+
+/**
+ * Gets the listener's taste profile when the filters ask for personalization
+ * Failures only cost the personalization, never the recommendations
+ * @param {Object} req - Express request
+ * @param {Object} filters - Raw filters (personalized when tasteWeight is set)
+ * @returns {Object|null} Taste profile, or null when not personalizing
+ */
+async function readTasteProfile(req, filters) {
+  const wanted = filters.tasteWeight !== undefined && filters.tasteWeight !== null && filters.tasteWeight !== '';
+  if (!wanted || !req.user || !req.user.personalization) {
+    return null;
+  }
+
+  try {
+    const profile = await tasteProfile.getTasteProfile(req.session, req.user.accessToken);
+    return tasteProfile.hasTaste(profile) ? profile : null;
+  } catch (error) {
+    console.error('Taste profile error:', error.response?.data || error.message);
+    return null;
+  }
+}
+
+/**
+ * Reads the recommendation inputs from a request, whose body comes straight from the client
+ * The locale is the body's locale if usable, otherwise the preferred Accept-Language
+ * @param {Object} req - Express request
+ * @returns {Array} Arguments for generateRecommendations: keywords, colors, mood, context, and filters
+ */
+async function readRecommendationRequest(req) {
+  const { keywords, colors, mood, text, place, palette, album, motion, locale } = req.body;
+  const filters = req.body.filters && typeof req.body.filters === 'object' ? req.body.filters : {};
+  const taste = await readTasteProfile(req, filters);
+
+  return [
+    keywords,
+    colors || [],
+    mood && typeof mood === 'object' ? { valence: mood.valence, energy: mood.energy } : null,
+    {
+      text: Array.isArray(text) ? text : [],
+      place: place && typeof place === 'object' ? place : null,
+      palette: palette && typeof palette === 'object' ? palette : null,
+      album: Array.isArray(album) ? album.slice(0, albumService.MAX_ALBUM_SIZE) : [],
+      motion: motion && typeof motion === 'object' ? motion : null,
+      promptVariant: getPromptVariant(req),
+      taste
+    },
+    {
+      ...filters,
+      locale: localeService.resolveLocale([locale, ...req.acceptsLanguages()]).tag,
+      // Echoed as null when there is no profile to follow
+      tasteWeight: taste ? filters.tasteWeight : null
+    }
+  ];
+}
+
 /**
  * POST /api/analysis/upload
- * Uploads an image and returns its unique identifier
+ * Uploads an image (or an animated GIF or short MP4/WebM clip) and returns its unique identifier
+ * Send stripLocation=true to discard GPS data before analysis
+ * Images flagged by SafeSearch are rejected with 422 and code IMAGE_FLAGGED; with MODERATION_REQUIRED
+ * set, images that could not be moderated (Google Vision unavailable) are rejected with 503 and code
+ * MODERATION_UNAVAILABLE
  */
-router.post('/upload', upload.single('image'), (req, res) => {
+router.post('/upload', upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No image file uploaded' });
     }
 
-    // Generate a unique ID for the file
-    const fileId = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    
-    // Store the image buffer in memory cache
-    imageCache.set(fileId, req.file.buffer);
+    const stripLocation = wantsLocationStripped(req.body);
+    const { fileId, mimeType, duplicate, duplicateType, duplicateOf } = await storeImage(req.file, stripLocation);
     
     res.status(200).json({
-      message: 'Image uploaded successfully',
+      message: duplicate ? 'Image already uploaded' : 'Image uploaded successfully',
       filename: fileId,
-      path: `/api/image/${fileId}`
+      path: `/api/analysis/image/${fileId}`,
+      mimeType,
+      locationStripped: stripLocation,
+      duplicate,
+      duplicateType,
+      duplicateOf
     });
   } catch (error) {
     console.error('Upload error:', error);
+    // Preprocessing and moderation errors carry their own status
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code, categories: error.categories });
+    }
     res.status(500).json({ error: 'Error uploading image' });
   }
 });
 
+/**
+ * POST /api/analysis/upload-album
+ * Uploads a set of images (field "images") and returns their identifiers
+ */
+router.post('/upload-album', (req, res, next) => {
+  upload.array('images', albumService.MAX_ALBUM_SIZE)(req, res, err => {
+    if (err) {
+      const message = err.code === 'LIMIT_UNEXPECTED_FILE'
+        ? `An album can contain at most ${albumService.MAX_ALBUM_SIZE} images`
+        : err.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.files || !req.files.length) {
+      return res.status(400).json({ error: 'No image files uploaded' });
+    }
+
+    const stripLocation = wantsLocationStripped(req.body);
+    const stored = [];
+    for (const file of req.files) {
+      try {
+        stored.push(await storeImage(file, stripLocation));
+      } catch (error) {
+        // Tell the client which photo was rejected
+        error.file = file.originalname;
+        throw error;
+      }
+    }
+    const filenames = stored.map(image => image.fileId);
+    
+    res.status(200).json({
+      message: `${filenames.length} images uploaded successfully`,
+      filenames,
+      paths: filenames.map(fileId => `/api/analysis/image/${fileId}`),
+      locationStripped: stripLocation,
+      duplicates: stored.map(({ duplicate, duplicateType, duplicateOf }) => ({ duplicate, duplicateType, duplicateOf }))
+    });
+  } catch (error) {
+    console.error('Album upload error:', error);
+    // Preprocessing and moderation errors carry their own status
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        categories: error.categories,
+        file: error.file
+      });
+    }
+    res.status(500).json({ error: 'Error uploading images' });
+  }
+});
+
 /**
  * POST /api/analysis/analyze
- * Analyzes an uploaded image using Google Cloud Vision
+ * Analyzes an uploaded image using the configured vision provider
  */
 router.post('/analyze', async (req, res) => {
   try {
@@ -73,31 +404,21 @@ router.post('/analyze', async (req, res) => {
       return res.status(400).json({ error: 'No filename provided' });
     }
     
-    // Check if we have cached results
-    if (analysisCache.has(filename)) {
-      console.log('Returning cached analysis for', filename);
-      return res.status(200).json(analysisCache.get(filename));
-    }
-
-    // Get image buffer from cache
-    const imageBuffer = imageCache.get(filename);
-    if (!imageBuffer) {
-      console.log('Image not found in cache:', filename);
-      return res.status(404).json({ error: 'Image not found' });
-    }
-
-    console.log('Analyzing image:', filename);
-    
-    // Analyze image using Google Cloud Vision
     try {
-      const analysisResults = await visionService.analyzeImageBuffer(imageBuffer);
-      
-      // Cache the results
-      analysisCache.set(filename, analysisResults);
+      const analysisResults = await getAnalysis(filename);
+      if (!analysisResults) {
+        return res.status(404).json({ error: 'Image not found' });
+      }
       
-      console.log('Analysis complete for:', filename);
       res.status(200).json(analysisResults);
     } catch (visionError) {
+      if (moderation.isModerationError(visionError)) {
+        return res.status(visionError.status).json({
+          error: visionError.message,
+          code: visionError.code,
+          categories: visionError.categories
+        });
+      }
       console.error('Vision API error:', visionError);
       res.status(500).json({ 
         error: 'Error analyzing image with Vision API', 
@@ -115,28 +436,106 @@ router.post('/analyze', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/analysis/analyze-album
+ * Analyzes every image of an album and blends them into one analysis
+ * Returns the combined analysis plus a per-image breakdown
+ */
+router.post('/analyze-album', async (req, res) => {
+  try {
+    const { filenames } = req.body;
+    
+    if (!Array.isArray(filenames) || !filenames.length) {
+      return res.status(400).json({ error: 'No filenames provided' });
+    }
+    if (filenames.length > albumService.MAX_ALBUM_SIZE) {
+      return res.status(400).json({ error: `An album can contain at most ${albumService.MAX_ALBUM_SIZE} images` });
+    }
+    
+    // Analyze one at a time to stay within provider rate limits
+    const analyses = [];
+    for (const filename of filenames) {
+      let analysis;
+      try {
+        analysis = await getAnalysis(filename);
+      } catch (error) {
+        if (moderation.isModerationError(error)) {
+          return res.status(error.status).json({
+            error: error.message,
+            code: error.code,
+            categories: error.categories,
+            filename
+          });
+        }
+        throw error;
+      }
+      if (!analysis) {
+        return res.status(404).json({ error: 'Image not found', filename });
+      }
+      analyses.push(analysis);
+    }
+    
+    const { analysis, weights } = albumService.combineAnalyses(analyses);
+    
+    res.status(200).json({
+      combined: analysis,
+      images: filenames.map((filename, index) => ({
+        filename,
+        photo: index + 1,
+        weight: weights[index],
+        analysis: analyses[index]
+      }))
+    });
+  } catch (error) {
+    console.error('Album analysis error:', error);
+    res.status(500).json({ 
+      error: 'Error analyzing album', 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Personalized recommendations read the listener's taste with their Spotify token
+router.use(['/recommend', '/refine'], refreshTokenIfNeeded);
+
 /**
  * POST /api/analysis/recommend
  * Generates song recommendations based on image analysis keywords
+ * Optional filters: count, includeGenres, excludeGenres, decadeFrom, decadeTo,
+ * language, instrumental, explicit ("allow" or "exclude"), localArtists, and tasteWeight
+ * (0 discover something new to 1 my taste; needs a Spotify login with personalize=true)
+ * Send locale (e.g. "pt-BR") to choose the language of the mood and reason text;
+ * otherwise it follows Accept-Language. Songs are checked in the locale's market
+ * Each song is looked up on Spotify: songs that do not exist are replaced, and the rest
+ * are marked verified with their trackId
+ * Responds with { recommendations, provider, model, promptVariant, filters, verification: { status, dropped }, incomplete }
+ * incomplete is true when replacing songs failed part way and fewer songs than requested came back
+ * promptVariant is the prompt template variant assigned to the session (see lib/prompt-templates.js)
  */
 router.post('/recommend', async (req, res) => {
   try {
-    const { keywords, colors, emotions } = req.body;
-    
-    if (!keywords || !keywords.length) {
+    if (!req.body.keywords || !req.body.keywords.length) {
       return res.status(400).json({ error: 'No keywords provided' });
     }
 
-    // Generate recommendations using OpenAI
-    const recommendations = await openaiService.generateRecommendations(
-      keywords, 
-      colors || [], 
-      emotions || []
-    );
+    // Generate recommendations with the configured LLM provider
+    const request = await readRecommendationRequest(req);
+    const result = await recommendationService.generateRecommendations(...request);
+    promptTemplates.recordEvent(result.promptVariant, 'recommendations');
     
-    res.status(200).json(recommendations);
+    // Includes the provider and model that produced the recommendations
+    res.status(200).json(result);
   } catch (error) {
     console.error('Recommendation error:', error);
+    // The model kept returning output that failed schema validation
+    if (error.code === 'INVALID_LLM_RESPONSE') {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        details: error.validationErrors
+      });
+    }
     res.status(500).json({ 
       error: 'Error generating recommendations', 
       details: error.message,
@@ -146,19 +545,155 @@ router.post('/recommend', async (req, res) => {
 });
 
 /**
- * GET /api/image/:id
- * Serves an image from memory cache (for preview purposes)
+ * POST /api/analysis/recommend/stream
+ * Same request as /recommend, answered with Server-Sent Events as the model generates:
+ * "recommendation" ({ index, recommendation }) for each song as soon as it is parsed,
+ * "reset" when a repaired response replaces the songs sent so far,
+ * "done" ({ provider, model, promptVariant, filters, verification, incomplete }) at the end, or "error" ({ error, code, details })
+ * Songs are only sent once found on Spotify (see verification in /recommend)
+ */
+router.post('/recommend/stream', async (req, res) => {
+  if (!req.body.keywords || !req.body.keywords.length) {
+    return res.status(400).json({ error: 'No keywords provided' });
+  }
+
+  // Read the request before the headers go out: assigning a prompt variant starts the
+  // session, and its cookie can only be set with the headers
+  let request;
+  try {
+    request = await readRecommendationRequest(req);
+  } catch (error) {
+    console.error('Recommendation stream error:', error);
+    return res.status(500).json({ error: 'Error generating recommendations', details: error.message });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // The model keeps generating if the client leaves; its result is still cached
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const sendEvent = (event, data = {}) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  try {
+    const result = await recommendationService.generateRecommendations(...request, sendEvent);
+    promptTemplates.recordEvent(result.promptVariant, 'recommendations');
+
+    sendEvent('done', {
+      provider: result.provider,
+      model: result.model,
+      promptVariant: result.promptVariant,
+      filters: result.filters,
+      verification: result.verification,
+      incomplete: result.incomplete
+    });
+  } catch (error) {
+    console.error('Recommendation stream error:', error);
+    sendEvent('error', {
+      error: error.code === 'INVALID_LLM_RESPONSE' ? error.message : 'Error generating recommendations',
+      code: error.code,
+      details: error.code === 'INVALID_LLM_RESPONSE' ? error.validationErrors : error.message
+    });
+  }
+
+  res.end();
+});
+
+/**
+ * POST /api/analysis/refine
+ * Revises recommendations from listener feedback. Send the /recommend fields plus
+ * previous (the current list), feedback ({ liked, disliked: song indexes, message }),
+ * and the refinementId from the last refinement to continue that conversation
+ * Liked songs keep their place and new songs are verified on Spotify as in /recommend;
+ * the history of each list is kept in the session
+ * Responds with { recommendations, provider, model, promptVariant, filters, verification, incomplete, refinementId, history }
+ */
+router.post('/refine', async (req, res) => {
+  try {
+    const { previous, feedback, refinementId } = req.body;
+    
+    if (!req.body.keywords || !req.body.keywords.length) {
+      return res.status(400).json({ error: 'No keywords provided' });
+    }
+    if (!Array.isArray(previous) || !previous.length) {
+      return res.status(400).json({ error: 'No previous recommendations provided' });
+    }
+    
+    // Continue the session's conversation only if the client is refining the same list
+    const stored = req.session.refinement;
+    const refinement = stored && refinementId && stored.id === refinementId
+      ? stored
+      : { id: crypto.randomBytes(8).toString('hex'), turns: [] };
+    
+    const request = await readRecommendationRequest(req);
+    const result = await recommendationService.refineRecommendations(
+      {
+        previous,
+        feedback: feedback && typeof feedback === 'object' ? feedback : {},
+        history: refinement.turns
+      },
+      ...request
+    );
+    
+    refinement.turns = [...refinement.turns, result.turn].slice(-MAX_REFINEMENT_TURNS);
+    promptTemplates.recordEvent(result.promptVariant, 'refinements');
+    req.session.refinement = refinement;
+    
+    res.status(200).json({
+      recommendations: result.recommendations,
+      provider: result.provider,
+      model: result.model,
+      promptVariant: result.promptVariant,
+      filters: result.filters,
+      verification: result.verification,
+      incomplete: result.incomplete,
+      refinementId: refinement.id,
+      history: refinement.turns.map(turn => turn.message).filter(Boolean)
+    });
+  } catch (error) {
+    console.error('Refinement error:', error);
+    if (error.code === 'INVALID_LLM_RESPONSE') {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        details: error.validationErrors
+      });
+    }
+    res.status(500).json({ 
+      error: 'Error refining recommendations', 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * GET /api/analysis/image/:id
+ * Serves an image from the image cache (for preview purposes)
  */
 router.get('/image/:id', (req, res) => {
   const imageId = req.params.id;
-  const imageBuffer = imageCache.get(imageId);
+  const image = imageCache.get(imageId);
   
-  if (!imageBuffer) {
+  if (!image) {
     return res.status(404).json({ error: 'Image not found' });
   }
   
-  res.set('Content-Type', 'image/jpeg');
-  res.send(imageBuffer);
+  res.set('Content-Type', image.mimeType);
+  res.send(image.buffer);
 });
 
 // Debug endpoint to check API status
@@ -166,27 +701,32 @@ router.get('/status', (req, res) => {
   res.json({
     status: 'OK',
     environment: process.env.NODE_ENV,
-    cacheSize: {
-      images: imageCache.size,
-      analysis: analysisCache.size
-    }
+    caches: cache.getAllStats(),
+    prompts: promptTemplates.getStatus(),
+    moderationThresholds: moderation.getThresholds(),
+    moderationRequired: moderation.isRequired(),
+    llm: llm.getStatus()
   });
 });
 
 // Debug endpoint to test Vision API
 router.get('/test-vision', async (req, res) => {
   try {
+    const providerStatus = visionService.getProviderStatus();
+
     // Attempt to validate Vision client initialization
     if (!visionService.isInitialized()) {
       return res.status(500).json({
-        error: 'Vision API client not properly initialized',
+        error: 'No vision provider is available',
+        providers: providerStatus,
         googleCredentials: process.env.GOOGLE_CREDENTIALS ? 'Provided' : 'Missing'
       });
     }
     
     // Return success if we got here
     res.json({
-      status: 'Vision API client initialized successfully',
+      status: `Vision providers ready: ${providerStatus.chain.join(', ')}`,
+      providers: providerStatus,
       googleCredentials: process.env.GOOGLE_CREDENTIALS ? 'Provided' : 'Using Application Default Credentials'
     });
   } catch (error) {
@@ -8,12 +8,53 @@ const router = express.Router();
 const passport = require('passport');
 const SpotifyStrategy = require('passport-spotify').Strategy;
 const axios = require('axios');
+const audioFeatures = require('../lib/audio-features');
+const localeService = require('../lib/locale');
+const promptTemplates = require('../lib/prompt-templates');
+const catalog = require('../lib/spotify-catalog');
+const tasteProfile = require('../lib/taste-profile');
+const playlistCover = require('../lib/playlist-cover');
+const { imageCache, analysisCache } = require('../lib/image-store');
+const { refreshTokenIfNeeded } = require('../lib/spotify-auth');
 
 // Spotify API Configuration
 const SPOTIFY_CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
 const SPOTIFY_CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
 const SPOTIFY_REDIRECT_URI = process.env.SPOTIFY_REDIRECT_URI;
 
+// Scopes every login asks for; personalization adds tasteProfile.TOP_READ_SCOPE on opt-in
+const SPOTIFY_SCOPES = [
+  'user-read-email',
+  'user-library-modify',
+  'playlist-modify-public',
+  'playlist-modify-private',
+  playlistCover.COVER_SCOPE
+];
+
+// Track IDs per audio-features request (Spotify's limit)
+const AUDIO_FEATURES_BATCH_SIZE = 100;
+
+// Longest Retry-After (seconds) waited for before retrying a rate-limited audio-features request
+const MAX_RETRY_AFTER = 5;
+
+// Songs per /resolve request, the size of the longest recommendation list
+const MAX_RESOLVE_SONGS = 25;
+
+// Playlists per page (Spotify's limit), and the most pages read for one listing
+const PLAYLISTS_PAGE_SIZE = 50;
+const MAX_PLAYLIST_PAGES = 40;
+
+// Tracks per add request and per page of playlist contents (Spotify's limits), and the most
+// tracks one /playlist/add request may add
+const PLAYLIST_ADD_BATCH_SIZE = 100;
+const PLAYLIST_ITEMS_PAGE_SIZE = 100;
+const MAX_PLAYLIST_ADD_TRACKS = 1000;
+
+// Pages of playlist contents read to find duplicates; tracks past them are not checked
+const MAX_PLAYLIST_ITEM_PAGES = 20;
+
+const SPOTIFY_ID_PATTERN = /^[0-9A-Za-z]{22}$/;
+
 // Log configuration details
 console.log('Spotify Auth Configuration:');
 console.log(`- Client ID: ${SPOTIFY_CLIENT_ID ? 'Set ✓' : 'Not set ✗'}`);
@@ -27,7 +68,7 @@ passport.use(
       clientID: SPOTIFY_CLIENT_ID,
       clientSecret: SPOTIFY_CLIENT_SECRET,
       callbackURL: SPOTIFY_REDIRECT_URI,
-      scope: ['user-read-email', 'user-library-modify', 'playlist-modify-public', 'playlist-modify-private'],
+      scope: SPOTIFY_SCOPES,
       passReqToCallback: true // Pass request to callback
     },
     (req, accessToken, refreshToken, expires_in, profile, done) => {
@@ -47,7 +88,9 @@ passport.use(
         email: profile.emails && profile.emails[0].value,
         accessToken,
         refreshToken,
-        expiresAt // Store expiration timestamp instead of duration
+        expiresAt, // Store expiration timestamp instead of duration
+        // Spotify grants all requested scopes or none, so an opt-in login can read top artists
+        personalization: !!(req.session && req.session.spotifyPersonalize)
       };
       
       // Also store a backup in cookies for redundancy
@@ -80,74 +123,173 @@ passport.deserializeUser((user, done) => {
 });
 
 /**
- * Middleware to refresh access token if expired
+ * Fetches Spotify audio features for a set of tracks
+ * @param {Array<string>} trackIds - Spotify track IDs
+ * @param {string} accessToken - User access token
+ * @returns {Object} Audio features keyed by track ID (features), whether Spotify provided them
+ * (available), and why not (reason: not_granted, rate_limited, unauthorized, or error; null when available)
  */
-async function refreshTokenIfNeeded(req, res, next) {
-  // Skip if no user or no tokens
-  if (!req.user || !req.user.accessToken) {
-    return next();
+async function fetchAudioFeatures(trackIds, accessToken) {
+  const ids = [...new Set(trackIds)];
+  if (!ids.length) {
+    return { features: {}, available: true, reason: null };
   }
-  
+
   try {
-    // Check if token is expired or about to expire (within 5 minutes)
-    const now = Date.now();
-    const tokenExpiresAt = req.user.expiresAt;
-    const isExpired = now >= tokenExpiresAt - (5 * 60 * 1000); // 5 min buffer
-    
-    // If token is still valid, continue
-    if (!isExpired) {
-      return next();
+    // The endpoint takes up to 100 IDs per request
+    const chunks = [];
+    for (let start = 0; start < ids.length; start += AUDIO_FEATURES_BATCH_SIZE) {
+      chunks.push(ids.slice(start, start + AUDIO_FEATURES_BATCH_SIZE));
     }
-    
-    console.log('Access token expired, refreshing...');
-    
-    // No refresh token, can't refresh
-    if (!req.user.refreshToken) {
-      console.log('No refresh token available, cannot refresh access token');
-      return next();
+
+    const responses = await Promise.all(chunks.map(chunk => requestAudioFeatures(chunk, accessToken)));
+
+    // Tracks without analysis come back as null entries
+    const features = responses.flatMap(response => response.data.audio_features || []).reduce((acc, entry) => {
+      if (entry) acc[entry.id] = entry;
+      return acc;
+    }, {});
+    return { features, available: true, reason: null };
+  } catch (error) {
+    // Matches are still usable without a fit score, so report why instead of failing
+    console.error('Spotify audio features error:', error.response?.data || error.message);
+    const reasons = { 401: 'unauthorized', 403: 'not_granted', 429: 'rate_limited' };
+    return { features: {}, available: false, reason: reasons[error.response?.status] || 'error' };
+  }
+}
+
+/**
+ * Requests audio features for up to 100 tracks, retrying once when rate limited
+ * @param {Array<string>} ids - Spotify track IDs
+ * @param {string} accessToken - User access token
+ * @returns {Object} Axios response
+ * @throws {Error} Axios error when the request fails (again)
+ */
+async function requestAudioFeatures(ids, accessToken) {
+  const request = () => axios.get('https://api.spotify.com/v1/audio-features', {
+    params: {
+      ids: ids.join(',')
+    },
+    headers: {
+      Authorization: `Bearer ${accessToken}`
     }
-    
-    // Request new access token
-    const response = await axios.post(
-      'https://accounts.spotify.com/api/token',
-      new URLSearchParams({
-        grant_type: 'refresh_token',
-        refresh_token: req.user.refreshToken
-      }).toString(),
-      {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': `Basic ${Buffer.from(`${SPOTIFY_CLIENT_ID}:${SPOTIFY_CLIENT_SECRET}`).toString('base64')}`
-        }
+  });
+
+  try {
+    return await request();
+  } catch (error) {
+    const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+    if (error.response?.status !== 429 || retryAfter > MAX_RETRY_AFTER) throw error;
+
+    await new Promise(resolve => setTimeout(resolve, (retryAfter || 1) * 1000));
+    return request();
+  }
+}
+
+/**
+ * Fetches every playlist the user owns or follows, page by page
+ * @param {string} accessToken - User access token
+ * @returns {Object} Spotify playlist objects in Spotify's order, the total Spotify reports,
+ * and whether the listing stopped after MAX_PLAYLIST_PAGES pages
+ */
+async function fetchAllPlaylists(accessToken) {
+  const playlists = [];
+  let url = 'https://api.spotify.com/v1/me/playlists';
+  let params = { limit: PLAYLISTS_PAGE_SIZE };
+  let total = 0;
+
+  for (let page = 0; url && page < MAX_PLAYLIST_PAGES; page++) {
+    const response = await axios.get(url, {
+      params,
+      headers: {
+        Authorization: `Bearer ${accessToken}`
       }
-    );
-    
-    // Update tokens in session
-    req.user.accessToken = response.data.access_token;
-    if (response.data.refresh_token) {
-      req.user.refreshToken = response.data.refresh_token;
-    }
-    req.user.expiresAt = Date.now() + (response.data.expires_in * 1000);
-    
-    console.log('Access token refreshed successfully');
-    
-    // Update session
-    req.session.passport.user = req.user;
-    req.session.save(err => {
-      if (err) {
-        console.error('Error saving session after token refresh:', err);
+    });
+
+    // Playlists that are no longer available come back as null entries
+    playlists.push(...(response.data.items || []).filter(Boolean));
+    total = response.data.total;
+
+    // The next page's URL carries its own offset and limit
+    url = response.data.next;
+    params = undefined;
+  }
+
+  return { playlists, total, truncated: !!url };
+}
+
+/**
+ * Fetches the IDs of the tracks already in a playlist, page by page
+ * Local files and podcast episodes have no track ID and are left out
+ * @param {string} playlistId - Spotify playlist ID
+ * @param {string} accessToken - User access token
+ * @returns {Object} Track IDs (a Set) from the first MAX_PLAYLIST_ITEM_PAGES pages, and whether
+ * that covered the whole playlist
+ */
+async function fetchPlaylistTrackIds(playlistId, accessToken) {
+  const trackIds = new Set();
+  let url = `https://api.spotify.com/v1/playlists/${encodeURIComponent(playlistId)}/tracks`;
+  let params = { limit: PLAYLIST_ITEMS_PAGE_SIZE, fields: 'items(track(id,type)),next' };
+
+  for (let page = 0; url && page < MAX_PLAYLIST_ITEM_PAGES; page++) {
+    const response = await axios.get(url, {
+      params,
+      headers: {
+        Authorization: `Bearer ${accessToken}`
       }
-      next();
     });
+
+    (response.data.items || []).forEach(item => {
+      if (item && item.track && item.track.id && item.track.type !== 'episode') {
+        trackIds.add(item.track.id);
+      }
+    });
+
+    // The next page's URL carries its own offset, limit, and fields
+    url = response.data.next;
+    params = undefined;
+  }
+
+  return { trackIds, complete: !url };
+}
+
+/**
+ * Sets a playlist's cover from an uploaded photo
+ * Failures are reported, not thrown: the playlist is kept with Spotify's default cover
+ * @param {string} playlistId - Spotify playlist ID
+ * @param {string} imageId - Image ID returned by an upload endpoint
+ * @param {boolean} withPalette - Whether to overlay the photo's extracted palette
+ * @param {string} accessToken - User access token
+ * @returns {Object} Outcome with uploaded, palette (whether the strip was drawn), and error
+ */
+async function setPlaylistCover(playlistId, imageId, withPalette, accessToken) {
+  const image = imageCache.get(imageId);
+  if (!image) {
+    return { uploaded: false, palette: false, error: 'The photo is no longer available' };
+  }
+
+  // The palette needs the photo's analysis; without it the cover is the plain photo
+  const analysis = withPalette ? analysisCache.get(imageId) : null;
+  const colors = analysis && analysis.colors.length ? analysis.colors : null;
+
+  try {
+    const jpeg = await playlistCover.createCover(image.buffer, { colors });
+    await playlistCover.uploadCover(playlistId, jpeg, accessToken);
+    return { uploaded: true, palette: !!colors, error: null };
   } catch (error) {
-    console.error('Token refresh error:', error.message);
-    next();
+    console.error('Spotify playlist cover error:', error.response?.data || error.message);
+    return {
+      uploaded: false,
+      palette: false,
+      error: error.response?.data?.error?.message || error.message
+    };
   }
 }
 
 /**
  * GET /api/spotify/login
  * Initiates Spotify OAuth flow
+ * Add personalize=true to also ask for the listener's top artists (user-top-read)
  */
 router.get('/login', (req, res, next) => {
   console.log('Spotify login initiated');
@@ -157,12 +299,18 @@ router.get('/login', (req, res, next) => {
   // Save the state to prevent CSRF
   req.session.spotifyState = Date.now();
   
+  // Remember the opt-in for the callback, which cannot see the granted scopes
+  const personalize = req.query.personalize === 'true';
+  req.session.spotifyPersonalize = personalize;
+  
   // Force session save before redirecting
   req.session.save((err) => {
     if (err) {
       console.error('Error saving session before OAuth redirect:', err);
     }
-    passport.authenticate('spotify')(req, res, next);
+    passport.authenticate('spotify', {
+      scope: personalize ? [...SPOTIFY_SCOPES, tasteProfile.TOP_READ_SCOPE] : SPOTIFY_SCOPES
+    })(req, res, next);
   });
 });
 
@@ -241,7 +389,8 @@ router.get('/user', (req, res) => {
   res.json({
     id: req.user.id,
     displayName: req.user.displayName,
-    email: req.user.email
+    email: req.user.email,
+    personalization: !!req.user.personalization
   });
 });
 
@@ -317,13 +466,49 @@ router.get('/logout', (req, res) => {
 
 // Add refresh token middleware to all API routes
 router.use('/search', refreshTokenIfNeeded);
+router.use('/resolve', refreshTokenIfNeeded);
+router.use('/taste', refreshTokenIfNeeded);
 router.use('/like', refreshTokenIfNeeded);
 router.use('/playlists', refreshTokenIfNeeded);
 router.use('/playlist', refreshTokenIfNeeded);
 
+/**
+ * GET /api/spotify/taste
+ * Returns the listener's taste profile (top artists and genres), cached in the session
+ * Requires a login with personalize=true; otherwise responds 403 with code PERSONALIZATION_NOT_GRANTED
+ */
+router.get('/taste', async (req, res) => {
+  try {
+    if (!req.user || !req.user.accessToken) {
+      return res.status(401).json({ error: 'Not authenticated with Spotify' });
+    }
+    if (!req.user.personalization) {
+      return res.status(403).json({
+        error: 'Personalization was not enabled when logging in to Spotify',
+        code: 'PERSONALIZATION_NOT_GRANTED'
+      });
+    }
+
+    const profile = await tasteProfile.getTasteProfile(req.session, req.user.accessToken);
+    res.json({ profile, personalized: tasteProfile.hasTaste(profile) });
+  } catch (error) {
+    console.error('Spotify taste profile error:', error.response?.data || error.message);
+    res.status(error.response?.status || 500).json({
+      error: 'Error fetching your Spotify listening profile',
+      details: error.response?.data?.error?.message || error.message
+    });
+  }
+});
+
 /**
  * POST /api/spotify/search
  * Searches Spotify for a track
+ * Send the analysis' audioTargets as targets to score each result by how well its
+ * audio features fit the image ({ fit: { score, features } }, null when unavailable)
+ * With targets, fitAvailable tells whether Spotify provided audio features and fitUnavailableReason
+ * why not (not_granted when the app has no audio-features access, rate_limited, unauthorized, or error)
+ * Results are limited to tracks playable in the market of the listener's locale (locale, or
+ * Accept-Language), falling back to the country of their Spotify account
  */
 router.post('/search', async (req, res) => {
   try {
@@ -331,7 +516,7 @@ router.post('/search', async (req, res) => {
       return res.status(401).json({ error: 'Not authenticated with Spotify' });
     }
 
-    const { title, artist } = req.body;
+    const { title, artist, targets, locale } = req.body;
     if (!title) {
       return res.status(400).json({ error: 'Title is required' });
     }
@@ -341,18 +526,22 @@ router.post('/search', async (req, res) => {
       query += ` artist:${artist}`;
     }
 
+    const market = localeService.getMarket(localeService.resolveLocale([locale, ...req.acceptsLanguages()]))
+      || 'from_token';
+
     const response = await axios.get('https://api.spotify.com/v1/search', {
       params: {
         q: query,
         type: 'track',
-        limit: 5
+        limit: 5,
+        market
       },
       headers: {
         Authorization: `Bearer ${req.user.accessToken}`
       }
     });
 
-    const tracks = response.data.tracks.items.map(track => ({
+    const tracks = response.data.tracks.items.filter(track => track.is_playable !== false).map(track => ({
       id: track.id,
       name: track.name,
       artists: track.artists.map(artist => artist.name).join(', '),
@@ -362,7 +551,22 @@ router.post('/search', async (req, res) => {
       previewUrl: track.preview_url
     }));
 
-    res.json({ tracks });
+    const normalizedTargets = audioFeatures.normalizeTargets(targets);
+    let fit = null;
+    if (normalizedTargets) {
+      fit = await fetchAudioFeatures(tracks.map(track => track.id), req.user.accessToken);
+      tracks.forEach(track => {
+        track.fit = audioFeatures.scoreTrack(fit.features[track.id], normalizedTargets);
+      });
+    }
+
+    res.json({
+      tracks,
+      targets: normalizedTargets,
+      market,
+      fitAvailable: fit ? fit.available : null,
+      fitUnavailableReason: fit ? fit.reason : null
+    });
   } catch (error) {
     console.error('Spotify search error:', error.response?.data || error.message);
     res.status(error.response?.status || 500).json({
@@ -372,6 +576,88 @@ router.post('/search', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/spotify/resolve
+ * Finds the best track for every recommendation in one request. Send recommendations
+ * ([{ title, artist }]), and optionally targets and locale as for /search
+ * Each song is searched with several query strategies (quoted track and artist, title without
+ * versions or featured artists, title only) and candidates are scored by fuzzy title and
+ * artist similarity. Songs whose best candidate reaches confidence 0.85 are "matched";
+ * others are "ambiguous" (the listener should choose), "not_found", or "error"
+ * Responds with { results: [{ index, title, artist, status, confidence, strategy, track, candidates }], market,
+ * fitAvailable, fitUnavailableReason } (fit fields as for /search)
+ */
+router.post('/resolve', async (req, res) => {
+  try {
+    if (!req.user || !req.user.accessToken) {
+      return res.status(401).json({ error: 'Not authenticated with Spotify' });
+    }
+
+    const { recommendations, targets, locale } = req.body;
+    if (!Array.isArray(recommendations) || !recommendations.length) {
+      return res.status(400).json({ error: 'At least one recommendation is required' });
+    }
+    if (recommendations.length > MAX_RESOLVE_SONGS) {
+      return res.status(400).json({ error: `At most ${MAX_RESOLVE_SONGS} recommendations can be resolved at once` });
+    }
+
+    const songs = recommendations.map(song => ({
+      title: typeof song?.title === 'string' ? song.title.trim().slice(0, 200) : '',
+      artist: typeof song?.artist === 'string' ? song.artist.trim().slice(0, 200) : ''
+    }));
+    if (songs.some(song => !song.title)) {
+      return res.status(400).json({ error: 'Every recommendation needs a title' });
+    }
+
+    const market = localeService.getMarket(localeService.resolveLocale([locale, ...req.acceptsLanguages()]))
+      || 'from_token';
+
+    const resolutions = await catalog.resolveTracks(songs, {
+      market,
+      accessToken: req.user.accessToken,
+      // "from_token" resolves to the user's own country
+      cacheScope: market === 'from_token' ? req.user.id : ''
+    });
+
+    // Score every candidate, so the listener can weigh fit when choosing
+    const normalizedTargets = audioFeatures.normalizeTargets(targets);
+    const fit = normalizedTargets
+      ? await fetchAudioFeatures(
+        resolutions.flatMap(resolution => resolution.candidates.map(track => track.id)),
+        req.user.accessToken
+      )
+      : null;
+
+    // Resolutions are cached, so copy them rather than adding the fit in place
+    const results = resolutions.map((resolution, index) => {
+      const candidates = normalizedTargets
+        ? resolution.candidates.map(track => ({ ...track, fit: audioFeatures.scoreTrack(fit.features[track.id], normalizedTargets) }))
+        : resolution.candidates;
+
+      return {
+        index,
+        ...songs[index],
+        ...resolution,
+        candidates,
+        track: resolution.status === 'matched' ? candidates[0] : null
+      };
+    });
+
+    res.json({
+      results,
+      market,
+      fitAvailable: fit ? fit.available : null,
+      fitUnavailableReason: fit ? fit.reason : null
+    });
+  } catch (error) {
+    console.error('Spotify resolve error:', error.response?.data || error.message);
+    res.status(error.response?.status || 500).json({
+      error: 'Error resolving tracks on Spotify',
+      details: error.response?.data?.error?.message || error.message
+    });
+  }
+});
+
 /**
  * POST /api/spotify/like
  * Adds a track to the user's Liked Songs
@@ -398,6 +684,9 @@ router.post('/like', async (req, res) => {
       }
     );
 
+    // Credit the prompt variant that suggested the song
+    promptTemplates.recordEvent(req.session.promptVariant, 'likes');
+
     res.json({ success: true, message: 'Track added to Liked Songs' });
   } catch (error) {
     console.error('Spotify like error:', error.response?.data || error.message);
@@ -410,7 +699,8 @@ router.post('/like', async (req, res) => {
 
 /**
  * GET /api/spotify/playlists
- * Gets the user's playlists
+ * Gets all of the user's playlists, owned and followed
+ * canEdit marks the ones tracks can be added to: the user's own and collaborative ones
  */
 router.get('/playlists', async (req, res) => {
   try {
@@ -418,24 +708,24 @@ router.get('/playlists', async (req, res) => {
       return res.status(401).json({ error: 'Not authenticated with Spotify' });
     }
 
-    const response = await axios.get('https://api.spotify.com/v1/me/playlists', {
-      params: {
-        limit: 50
-      },
-      headers: {
-        Authorization: `Bearer ${req.user.accessToken}`
-      }
+    const { playlists: items, total, truncated } = await fetchAllPlaylists(req.user.accessToken);
+
+    const playlists = items.map(playlist => {
+      const isOwner = playlist.owner.id === req.user.id;
+      return {
+        id: playlist.id,
+        name: playlist.name,
+        image: playlist.images?.[0]?.url,
+        trackCount: playlist.tracks.total,
+        owner: playlist.owner.display_name || playlist.owner.id,
+        isOwner,
+        collaborative: !!playlist.collaborative,
+        public: playlist.public,
+        canEdit: isOwner || !!playlist.collaborative
+      };
     });
 
-    const playlists = response.data.items.map(playlist => ({
-      id: playlist.id,
-      name: playlist.name,
-      image: playlist.images[0]?.url,
-      trackCount: playlist.tracks.total,
-      isOwner: playlist.owner.id === req.user.id
-    }));
-
-    res.json({ playlists });
+    res.json({ playlists, total, truncated });
   } catch (error) {
     console.error('Spotify playlists error:', error.response?.data || error.message);
     res.status(error.response?.status || 500).json({
@@ -448,6 +738,8 @@ router.get('/playlists', async (req, res) => {
 /**
  * POST /api/spotify/playlist/create
  * Creates a new playlist
+ * Send imageId (from an upload endpoint) to use the photo as its cover, and coverPalette=true
+ * to overlay the photo's palette; the response's cover reports whether that worked
  */
 router.post('/playlist/create', async (req, res) => {
   try {
@@ -455,10 +747,13 @@ router.post('/playlist/create', async (req, res) => {
       return res.status(401).json({ error: 'Not authenticated with Spotify' });
     }
 
-    const { name, description } = req.body;
+    const { name, description, imageId, coverPalette } = req.body;
     if (!name) {
       return res.status(400).json({ error: 'Playlist name is required' });
     }
+    if (imageId !== undefined && imageId !== null && typeof imageId !== 'string') {
+      return res.status(400).json({ error: 'imageId must be a string' });
+    }
 
     const response = await axios.post(
       `https://api.spotify.com/v1/users/${req.user.id}/playlists`,
@@ -475,6 +770,11 @@ router.post('/playlist/create', async (req, res) => {
       }
     );
 
+    // A cover that cannot be set does not undo the playlist
+    const cover = imageId
+      ? await setPlaylistCover(response.data.id, imageId, coverPalette === true, req.user.accessToken)
+      : null;
+
     res.json({
       success: true,
       playlist: {
@@ -482,7 +782,8 @@ router.post('/playlist/create', async (req, res) => {
         name: response.data.name,
         image: response.data.images[0]?.url,
         external_url: response.data.external_urls.spotify
-      }
+      },
+      cover
     });
   } catch (error) {
     console.error('Spotify create playlist error:', error.response?.data || error.message);
@@ -495,7 +796,13 @@ router.post('/playlist/create', async (req, res) => {
 
 /**
  * POST /api/spotify/playlist/add
- * Adds tracks to a playlist
+ * Adds tracks to a playlist, in batches of 100 and in the order given
+ * Tracks already in the playlist (or repeated in trackIds) are skipped unless allowDuplicates
+ * is true; send position to insert at that index instead of appending. Only the first
+ * MAX_PLAYLIST_ITEM_PAGES pages of a very long playlist are checked; duplicatesChecked reports
+ * all, partial, or none (allowDuplicates)
+ * Responds with added, skipped, and failed counts, duplicatesChecked, and results
+ * ([{ trackId, status: added|skipped_duplicate|failed, error }]); fails only when no track was added
  */
 router.post('/playlist/add', async (req, res) => {
   try {
@@ -503,32 +810,104 @@ router.post('/playlist/add', async (req, res) => {
       return res.status(401).json({ error: 'Not authenticated with Spotify' });
     }
 
-    const { playlistId, trackIds } = req.body;
+    const { playlistId, trackIds, position, allowDuplicates } = req.body;
     if (!playlistId) {
       return res.status(400).json({ error: 'Playlist ID is required' });
     }
-    if (!trackIds || !trackIds.length) {
+    if (!Array.isArray(trackIds) || !trackIds.length) {
       return res.status(400).json({ error: 'At least one track ID is required' });
     }
+    if (trackIds.length > MAX_PLAYLIST_ADD_TRACKS) {
+      return res.status(400).json({ error: `At most ${MAX_PLAYLIST_ADD_TRACKS} tracks can be added at once` });
+    }
+    if (trackIds.some(id => !SPOTIFY_ID_PATTERN.test(id))) {
+      return res.status(400).json({ error: 'Track IDs must be Spotify track IDs' });
+    }
+    if (position !== undefined && position !== null && !(Number.isInteger(position) && position >= 0)) {
+      return res.status(400).json({ error: 'position must be a non-negative integer' });
+    }
 
-    const trackUris = trackIds.map(id => `spotify:track:${id}`);
+    // Tracks already in the playlist count as present, and so does each track once queued.
+    // Past the page cap, tracks are still added; only the part that was read is deduplicated
+    const existing = allowDuplicates === true
+      ? null
+      : await fetchPlaylistTrackIds(playlistId, req.user.accessToken);
+    const present = existing ? existing.trackIds : new Set();
+    const duplicatesChecked = !existing ? 'none' : existing.complete ? 'all' : 'partial';
+
+    const results = trackIds.map(trackId => {
+      if (present.has(trackId)) {
+        return { trackId, status: 'skipped_duplicate', error: null };
+      }
+      if (allowDuplicates !== true) {
+        present.add(trackId);
+      }
+      return { trackId, status: 'pending', error: null };
+    });
 
-    await axios.post(
-      `https://api.spotify.com/v1/playlists/${playlistId}/tracks`,
-      {
-        uris: trackUris
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${req.user.accessToken}`,
-          'Content-Type': 'application/json'
-        }
+    const pending = results.filter(result => result.status === 'pending');
+    let added = 0;
+    let failure = null;
+
+    // Batches go one at a time so inserted tracks keep their order
+    for (let start = 0; start < pending.length; start += PLAYLIST_ADD_BATCH_SIZE) {
+      const batch = pending.slice(start, start + PLAYLIST_ADD_BATCH_SIZE);
+
+      try {
+        await axios.post(
+          `https://api.spotify.com/v1/playlists/${encodeURIComponent(playlistId)}/tracks`,
+          {
+            uris: batch.map(result => `spotify:track:${result.trackId}`),
+            // Later batches go after the tracks this request has already inserted
+            ...(Number.isInteger(position) ? { position: position + added } : {})
+          },
+          {
+            headers: {
+              Authorization: `Bearer ${req.user.accessToken}`,
+              'Content-Type': 'application/json'
+            }
+          }
+        );
+
+        batch.forEach(result => { result.status = 'added'; });
+        added += batch.length;
+      } catch (error) {
+        console.error('Spotify add to playlist batch error:', error.response?.data || error.message);
+        failure = error;
+        batch.forEach(result => {
+          result.status = 'failed';
+          result.error = error.response?.data?.error?.message || error.message;
+        });
       }
-    );
+    }
+
+    const skipped = results.length - pending.length;
+    const failed = pending.length - added;
+
+    if (failed && !added) {
+      return res.status(failure.response?.status || 500).json({
+        error: 'Error adding tracks to playlist',
+        details: failure.response?.data?.error?.message || failure.message,
+        added,
+        skipped,
+        failed,
+        duplicatesChecked,
+        results
+      });
+    }
+
+    promptTemplates.recordEvent(req.session.promptVariant, 'playlistAdds', added);
 
     res.json({
       success: true,
-      message: `Added ${trackIds.length} tracks to playlist`
+      message: `Added ${added} tracks to playlist`
+        + (skipped ? `, skipped ${skipped} already in it` : '')
+        + (failed ? `, ${failed} failed` : ''),
+      added,
+      skipped,
+      failed,
+      duplicatesChecked,
+      results
     });
   } catch (error) {
     console.error('Spotify add to playlist error:', error.response?.data || error.message);
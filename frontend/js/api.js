@@ -7,11 +7,14 @@ class ApiService {
   /**
    * Upload an image to the server
    * @param {File} imageFile - The image file to upload
+   * @param {Object} options - Upload options
+   * @param {boolean} options.stripLocation - Remove GPS data before analysis
    * @returns {Promise<Object>} Upload response with filename
    */
-  static async uploadImage(imageFile) {
+  static async uploadImage(imageFile, options = {}) {
     const formData = new FormData();
     formData.append('image', imageFile);
+    formData.append('stripLocation', options.stripLocation ? 'true' : 'false');
     
     try {
       const response = await fetch('/api/analysis/upload', {
@@ -39,6 +42,63 @@ class ApiService {
     }
   }
   
+  /**
+   * Upload several images as one album
+   * @param {Array<File>} imageFiles - The image files to upload (up to 20)
+   * @param {Object} options - Upload options
+   * @param {boolean} options.stripLocation - Remove GPS data before analysis
+   * @returns {Promise<Object>} Upload response with filenames
+   */
+  static async uploadAlbum(imageFiles, options = {}) {
+    const formData = new FormData();
+    imageFiles.forEach(file => formData.append('images', file));
+    formData.append('stripLocation', options.stripLocation ? 'true' : 'false');
+    
+    try {
+      const response = await fetch('/api/analysis/upload-album', {
+        method: 'POST',
+        body: formData
+      });
+      
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to upload images');
+      }
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Album upload error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Analyze an uploaded album
+   * @param {Array<string>} filenames - The uploaded image filenames
+   * @returns {Promise<Object>} Combined analysis and per-image breakdown
+   */
+  static async analyzeAlbum(filenames) {
+    try {
+      const response = await fetch('/api/analysis/analyze-album', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ filenames })
+      });
+      
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to analyze album');
+      }
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Album analysis error:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Analyze an uploaded image
    * @param {string} filename - The uploaded image filename
@@ -78,21 +138,24 @@ class ApiService {
    * Get song recommendations based on image analysis
    * @param {Array} keywords - Keywords from image analysis
    * @param {Array} colors - Color names from image analysis
-   * @param {string} dominantEmotion - Dominant emotion detected
-   * @returns {Promise<Array>} Song recommendations
+   * @param {Object|null} mood - Valence and energy (0-1) from the analysis
+   * @param {Object} context - Additional image context
+   * @param {Array<string>} context.text - Phrases from text detected in the image
+   * @param {Object|null} context.place - Where and when the photo was taken
+   * @param {Object|null} context.palette - Palette metrics from the analysis
+   * @param {Array} context.album - Per-photo keywords when recommending for an album
+   * @param {Object|null} context.motion - Motion energy and pace of a GIF or video clip
+   * @param {Object} filters - Count, genres, decades, language, instrumental, explicit policy, local artists, and taste weight
+   * @returns {Promise<Object>} Song recommendations plus the provider and model that produced them
    */
-  static async getRecommendations(keywords, colors, dominantEmotion) {
+  static async getRecommendations(keywords, colors, mood, context = {}, filters = {}) {
     try {
       const response = await fetch('/api/analysis/recommend', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ 
-          keywords, 
-          colors, 
-          emotions: dominantEmotion ? [dominantEmotion] : [] 
-        })
+        body: JSON.stringify(ApiService.buildRecommendationRequest(keywords, colors, mood, context, filters))
       });
       
       // Check content type before parsing
@@ -115,6 +178,146 @@ class ApiService {
     }
   }
   
+  /**
+   * Refine song recommendations with feedback on the current list
+   * @param {Array} keywords - Array of keywords from image analysis
+   * @param {Array} colors - Array of color names from image analysis
+   * @param {Object|null} mood - Valence and energy (0-1) from the mood model
+   * @param {Object} context - Additional image context (as for getRecommendations)
+   * @param {Object} filters - Count, genres, decades, language, instrumental, explicit policy, local artists, and taste weight
+   * @param {Object} refinement - The list being refined
+   * @param {Array} refinement.previous - Current recommendations, in display order
+   * @param {Object} refinement.feedback - Liked and disliked song indexes, and a free-text message
+   * @param {string|null} refinement.refinementId - ID returned by the previous refinement of this list
+   * @returns {Promise<Object>} Revised recommendations, the refinement ID, and the feedback history
+   */
+  static async refineRecommendations(keywords, colors, mood, context = {}, filters = {}, refinement = {}) {
+    try {
+      const response = await fetch('/api/analysis/refine', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          ...ApiService.buildRecommendationRequest(keywords, colors, mood, context, filters),
+          previous: refinement.previous || [],
+          feedback: refinement.feedback || {},
+          refinementId: refinement.refinementId || null
+        })
+      });
+      
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to refine recommendations');
+      }
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Refinement error:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the listener's locale, which sets the language of the song descriptions and the Spotify market
+   * @returns {string} BCP 47 language tag
+   */
+  static getLocale() {
+    return navigator.language || 'en';
+  }
+  
+  /**
+   * Build the request body shared by the recommendation endpoints
+   * @param {Array} keywords - Array of keywords from image analysis
+   * @param {Array} colors - Array of color names from image analysis
+   * @param {Object|null} mood - Valence and energy (0-1) from the mood model
+   * @param {Object} context - Additional image context
+   * @param {Object} filters - Recommendation filters
+   * @returns {Object} Request body
+   */
+  static buildRecommendationRequest(keywords, colors, mood, context = {}, filters = {}) {
+    return {
+      keywords,
+      colors,
+      mood: mood ? { valence: mood.valence, energy: mood.energy } : null,
+      text: context.text || [],
+      place: context.place || null,
+      palette: context.palette || null,
+      album: context.album || [],
+      motion: context.motion || null,
+      filters,
+      locale: ApiService.getLocale()
+    };
+  }
+  
+  /**
+   * Stream song recommendations over Server-Sent Events, one song at a time
+   * @param {Array} keywords - Array of keywords from image analysis
+   * @param {Array} colors - Array of color names from image analysis
+   * @param {Object|null} mood - Valence and energy (0-1) from the mood model
+   * @param {Object} context - Additional image context (as for getRecommendations)
+   * @param {Object} filters - Count, genres, decades, language, instrumental, explicit policy, local artists, and taste weight
+   * @param {Object} handlers - Stream callbacks
+   * @param {Function} handlers.onRecommendation - Called with each song and its index as it arrives
+   * @param {Function} handlers.onReset - Called when the songs received so far are replaced
+   * @returns {Promise<Object>} The provider, model, and applied filters once every song has arrived
+   */
+  static async streamRecommendations(keywords, colors, mood, context = {}, filters = {}, handlers = {}) {
+    try {
+      const response = await fetch('/api/analysis/recommend/stream', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream'
+        },
+        body: JSON.stringify(ApiService.buildRecommendationRequest(keywords, colors, mood, context, filters))
+      });
+      
+      const contentType = response.headers.get('content-type');
+      if (!response.ok || !contentType || !contentType.includes('text/event-stream')) {
+        const error = contentType && contentType.includes('application/json') ? await response.json() : {};
+        throw new Error(error.error || 'Failed to get recommendations');
+      }
+      
+      // EventSource cannot POST, so read the event stream from the response body
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        
+        // Events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+          
+          const event = (block.match(/^event: (.*)$/m) || [])[1];
+          const data = JSON.parse((block.match(/^data: (.*)$/m) || [])[1] || '{}');
+          
+          if (event === 'recommendation' && handlers.onRecommendation) {
+            handlers.onRecommendation(data.recommendation, data.index);
+          } else if (event === 'reset' && handlers.onReset) {
+            handlers.onReset();
+          } else if (event === 'error') {
+            throw new Error(data.error || 'Failed to get recommendations');
+          } else if (event === 'done') {
+            return data;
+          }
+        }
+      }
+      
+      throw new Error('Recommendation stream ended unexpectedly');
+    } catch (error) {
+      console.error('Recommendation stream error:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Check if user is authenticated with Spotify
    * @returns {Promise<Object>} User profile or null
@@ -140,20 +343,41 @@ class ApiService {
     }
   }
   
+  /**
+   * Get the user's taste profile (top artists and genres) for personalized recommendations
+   * @returns {Promise<Object>} Profile and whether it has enough history to personalize with
+   */
+  static async getTasteProfile() {
+    try {
+      const response = await fetch('/api/spotify/taste');
+      
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to get your listening profile');
+      }
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Spotify taste profile error:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Search for a track on Spotify
    * @param {string} title - Track title
    * @param {string} artist - Track artist
-   * @returns {Promise<Object>} Search results
+   * @param {Object|null} targets - Audio-feature targets from the analysis, to score each result's fit
+   * @returns {Promise<Object>} Search results, limited to tracks playable in the listener's market
    */
-  static async searchSpotifyTrack(title, artist) {
+  static async searchSpotifyTrack(title, artist, targets = null) {
     try {
       const response = await fetch('/api/spotify/search', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ title, artist })
+        body: JSON.stringify({ title, artist, targets, locale: ApiService.getLocale() })
       });
       
       if (!response.ok) {
@@ -168,6 +392,39 @@ class ApiService {
     }
   }
   
+  /**
+   * Match a whole recommendation list to Spotify tracks in one request
+   * @param {Array} recommendations - Songs with title and artist
+   * @param {Object|null} targets - Audio-feature targets from the analysis, to score each candidate's fit
+   * @returns {Promise<Object>} Per-song results: status (matched, ambiguous, not_found, or error),
+   * confidence, the matched track, and candidates to choose from
+   */
+  static async resolveSpotifyTracks(recommendations, targets = null) {
+    try {
+      const response = await fetch('/api/spotify/resolve', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          recommendations: recommendations.map(({ title, artist }) => ({ title, artist })),
+          targets,
+          locale: ApiService.getLocale()
+        })
+      });
+      
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to match songs on Spotify');
+      }
+      
+      return await response.json();
+    } catch (error) {
+      console.error('Spotify resolve error:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Add a track to user's Spotify Liked Songs
    * @param {string} trackId - Spotify track ID
@@ -196,8 +453,8 @@ class ApiService {
   }
   
   /**
-   * Get user's Spotify playlists
-   * @returns {Promise<Object>} Playlists data
+   * Get all of the user's Spotify playlists
+   * @returns {Promise<Object>} Playlists (with canEdit, collaborative, and public flags), total, and truncated
    */
   static async getPlaylists() {
     try {
@@ -219,16 +476,22 @@ class ApiService {
    * Create a new Spotify playlist
    * @param {string} name - Playlist name
    * @param {string} description - Playlist description
-   * @returns {Promise<Object>} Created playlist data
+   * @param {Object|null} cover - Photo to use as the cover: imageId and palette (overlay its colors)
+   * @returns {Promise<Object>} Created playlist data, with the cover outcome
    */
-  static async createPlaylist(name, description) {
+  static async createPlaylist(name, description, cover = null) {
     try {
       const response = await fetch('/api/spotify/playlist/create', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ name, description })
+        body: JSON.stringify({
+          name,
+          description,
+          imageId: cover ? cover.imageId : null,
+          coverPalette: cover ? cover.palette : false
+        })
       });
       
       if (!response.ok) {
@@ -247,16 +510,17 @@ class ApiService {
    * Add tracks to a Spotify playlist
    * @param {string} playlistId - Spotify playlist ID
    * @param {Array<string>} trackIds - Array of Spotify track IDs
-   * @returns {Promise<Object>} Response data
+   * @param {Object} options - position (insert index; appended when omitted) and allowDuplicates
+   * @returns {Promise<Object>} Added, skipped, and failed counts with per-track results
    */
-  static async addToPlaylist(playlistId, trackIds) {
+  static async addToPlaylist(playlistId, trackIds, { position = null, allowDuplicates = false } = {}) {
     try {
       const response = await fetch('/api/spotify/playlist/add', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ playlistId, trackIds })
+        body: JSON.stringify({ playlistId, trackIds, position, allowDuplicates })
       });
       
       if (!response.ok) {
@@ -8,15 +8,38 @@ document.addEventListener('DOMContentLoaded', () => {
   const uploadZone = document.getElementById('upload-zone');
   const imageInput = document.getElementById('image-input');
   const imagePreview = document.getElementById('image-preview');
+  const videoPreview = document.getElementById('video-preview');
   const previewContainer = document.getElementById('preview-container');
   const removeImageBtn = document.getElementById('remove-image');
   const analyzeBtn = document.getElementById('analyze-btn');
+  const stripLocationToggle = document.getElementById('strip-location-toggle');
+  const filterCount = document.getElementById('filter-count');
+  const filterExplicit = document.getElementById('filter-explicit');
+  const filterIncludeGenres = document.getElementById('filter-include-genres');
+  const filterExcludeGenres = document.getElementById('filter-exclude-genres');
+  const filterDecadeFrom = document.getElementById('filter-decade-from');
+  const filterDecadeTo = document.getElementById('filter-decade-to');
+  const filterLanguage = document.getElementById('filter-language');
+  const filterInstrumental = document.getElementById('filter-instrumental');
+  const filterLocalArtists = document.getElementById('filter-local-artists');
+  const filterPersonalize = document.getElementById('filter-personalize');
+  const filterTaste = document.getElementById('filter-taste');
+  const tasteSummary = document.getElementById('taste-summary');
+  const refineBar = document.getElementById('refine-bar');
+  const refineMessage = document.getElementById('refine-message');
+  const refineBtn = document.getElementById('refine-btn');
+  const refineHistory = document.getElementById('refine-history');
+  const albumStrip = document.getElementById('album-strip');
+  const albumBreakdown = document.getElementById('album-breakdown');
   const resultsSection = document.getElementById('results-section');
   const keywordsContainer = document.getElementById('keywords-container');
   const keywordsLoading = document.getElementById('keywords-loading');
   const colorsContainer = document.getElementById('colors-container');
+  const paletteSummary = document.getElementById('palette-summary');
+  const moodSummary = document.getElementById('mood-summary');
   const recommendationsContainer = document.getElementById('recommendations-container');
   const recommendationsLoading = document.getElementById('recommendations-loading');
+  const recommendationsSource = document.getElementById('recommendations-source');
   const spotifyLoginContainer = document.getElementById('spotify-login-container');
   const spotifyPrompt = document.getElementById('spotify-prompt');
   const spotifyActions = document.getElementById('spotify-actions');
@@ -24,21 +47,40 @@ document.addEventListener('DOMContentLoaded', () => {
   const showPlaylistsBtn = document.getElementById('show-playlists-btn');
   const playlistForm = document.getElementById('playlist-form');
   const playlistsDropdown = document.getElementById('playlists-dropdown');
-  const playlistSelect = document.getElementById('playlist-select');
+  const playlistSearch = document.getElementById('playlist-search');
+  const playlistList = document.getElementById('playlist-list');
+  const playlistListStatus = document.getElementById('playlist-list-status');
+  const playlistAddTopToggle = document.getElementById('playlist-add-top');
   const createPlaylistSubmit = document.getElementById('create-playlist-submit');
+  const playlistCoverToggle = document.getElementById('playlist-cover');
+  const playlistCoverPaletteToggle = document.getElementById('playlist-cover-palette');
   const addToPlaylistSubmit = document.getElementById('add-to-playlist-submit');
   const spotifyTrackModal = new bootstrap.Modal(document.getElementById('spotify-track-modal'));
   const spotifySearchResults = document.getElementById('spotify-search-results');
   const spotifySearchLoading = document.getElementById('spotify-search-loading');
   const toastContainer = document.querySelector('.toast-container');
   
+  // Maximum number of photos in an album (matches the server limit)
+  const MAX_ALBUM_SIZE = 20;
+  
+  // Playlists listed at once in the picker; searching narrows down the rest
+  const MAX_LISTED_PLAYLISTS = 100;
+  
   // State
   let currentImage = null;
+  let currentImages = [];
+  let albumImages = null;
   let uploadedFilename = null;
+  let coverImageId = null;
   let analysisResults = null;
   let recommendations = null;
   let spotifyUser = null;
   let selectedSpotifyTracks = {};
+  let trackChoices = {};
+  let songFeedback = {};
+  let refinementId = null;
+  let editablePlaylists = [];
+  let selectedPlaylistId = null;
   
   // Initialize Application
   init();
@@ -97,12 +139,49 @@ document.addEventListener('DOMContentLoaded', () => {
     // Analyze button
     analyzeBtn.addEventListener('click', analyzeImage);
     
+    // Instrumental tracks have no vocal language
+    filterInstrumental.addEventListener('change', () => {
+      filterLanguage.disabled = filterInstrumental.checked;
+    });
+    
+    // Personalization needs access to the user's top artists, granted on a separate login
+    filterPersonalize.addEventListener('change', () => {
+      if (filterPersonalize.checked && !(spotifyUser && spotifyUser.personalization)) {
+        window.location.href = '/api/spotify/login?personalize=true';
+        return;
+      }
+      
+      filterTaste.disabled = !filterPersonalize.checked;
+      if (filterPersonalize.checked) {
+        loadTasteProfile();
+      } else {
+        tasteSummary.textContent = '';
+      }
+    });
+    
+    // Feedback bar: quick suggestions fill in the message, Refine sends it with the song ratings
+    document.querySelectorAll('.refine-chip').forEach(chip => {
+      chip.addEventListener('click', () => {
+        refineMessage.value = chip.dataset.feedback;
+        refineMessage.focus();
+      });
+    });
+    refineBtn.addEventListener('click', refineRecommendations);
+    refineMessage.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') refineRecommendations();
+    });
+    
     // Spotify playlist buttons
     createPlaylistBtn.addEventListener('click', () => {
       playlistForm.classList.remove('d-none');
       playlistsDropdown.classList.add('d-none');
     });
     
+    // The palette is drawn on the photo, so it needs the photo cover
+    playlistCoverToggle.addEventListener('change', () => {
+      playlistCoverPaletteToggle.disabled = !playlistCoverToggle.checked;
+    });
+    
     showPlaylistsBtn.addEventListener('click', async () => {
       playlistForm.classList.add('d-none');
       playlistsDropdown.classList.remove('d-none');
@@ -111,6 +190,9 @@ document.addEventListener('DOMContentLoaded', () => {
       await loadPlaylists();
     });
     
+    // Filter the playlist picker as the user types
+    playlistSearch.addEventListener('input', renderPlaylistList);
+    
     // Playlist form submission
     createPlaylistSubmit.addEventListener('click', createAndAddToPlaylist);
     
@@ -123,33 +205,246 @@ document.addEventListener('DOMContentLoaded', () => {
    * @param {Event} e - Change event from file input
    */
   function handleFileSelection(e) {
-    const file = e.target.files[0];
+    const files = Array.from(e.target.files).filter(isMediaFile);
+    const file = files[0];
+    
+    if (files.length > MAX_ALBUM_SIZE) {
+      showToast(`Only the first ${MAX_ALBUM_SIZE} photos will be used`, 'warning');
+    }
     
-    if (file && file.type.startsWith('image/')) {
+    if (file) {
       currentImage = file;
+      currentImages = files.slice(0, MAX_ALBUM_SIZE);
       
-      // Show preview
+      // Show thumbnails when several photos form an album
+      renderAlbumStrip(albumStrip, currentImages.map(image => ({ file: image })));
+      
+      // Show preview (videos play in their own element)
+      showPreview(file);
+      
+      // Enable analyze button
+      analyzeBtn.disabled = false;
+    } else if (e.target.files.length) {
+      showToast('Please select an image or a short video clip', 'error');
+    }
+  }
+  
+  /**
+   * Show the selected file in the upload zone
+   * @param {File} file - Selected image or video
+   */
+  function showPreview(file) {
+    const isVideo = file.type.startsWith('video/');
+    imagePreview.classList.toggle('d-none', isVideo);
+    videoPreview.classList.toggle('d-none', !isVideo);
+    
+    if (isVideo) {
+      videoPreview.src = getPhotoUrl(file);
+    } else {
+      videoPreview.removeAttribute('src');
       const reader = new FileReader();
       reader.onload = (e) => {
         imagePreview.src = e.target.result;
-        previewContainer.classList.remove('d-none');
-        uploadZone.querySelector('.upload-prompt').classList.add('d-none');
       };
       reader.readAsDataURL(file);
+    }
+    
+    previewContainer.classList.remove('d-none');
+    uploadZone.querySelector('.upload-prompt').classList.add('d-none');
+  }
+  
+  /**
+   * Collect the image context sent with recommendation requests
+   * @returns {Object} Text, place, palette, album, and motion from the current analysis
+   */
+  function getRecommendationContext() {
+    return {
+      text: analysisResults.textPhrases || [],
+      place: analysisResults.place || null,
+      palette: analysisResults.palette || null,
+      album: albumImages ? albumImages.map(image => ({ keywords: image.analysis.keywords })) : [],
+      motion: analysisResults.motion || null
+    };
+  }
+  
+  /**
+   * Refine the current recommendations with the song ratings and feedback message
+   */
+  async function refineRecommendations() {
+    if (!analysisResults || !recommendations || !recommendations.length) return;
+    
+    const indexesRated = rating => Object.keys(songFeedback)
+      .filter(index => songFeedback[index] === rating)
+      .map(index => parseInt(index, 10));
+    const feedback = {
+      liked: indexesRated('like'),
+      disliked: indexesRated('dislike'),
+      message: refineMessage.value.trim()
+    };
+    
+    if (!feedback.liked.length && !feedback.disliked.length && !feedback.message) {
+      showToast('Rate some songs or describe what to change first.', 'info');
+      return;
+    }
+    
+    refineBtn.disabled = true;
+    recommendationsLoading.classList.remove('d-none');
+    
+    try {
+      const response = await ApiService.refineRecommendations(
+        analysisResults.keywords,
+        analysisResults.colorNames,
+        analysisResults.mood,
+        getRecommendationContext(),
+        readFilters(),
+        {
+          previous: recommendations,
+          feedback,
+          refinementId
+        }
+      );
       
-      // Enable analyze button
-      analyzeBtn.disabled = false;
-    } else if (file) {
-      showToast('Please select an image file', 'error');
+      refinementId = response.refinementId;
+      recommendations = response.recommendations;
+      
+      // Liked songs keep their place, so they stay liked
+      songFeedback = feedback.liked.reduce((acc, index) => {
+        acc[index] = 'like';
+        return acc;
+      }, {});
+      
+      recommendationsSource.textContent = `Suggested by ${response.model} (${response.provider})`;
+      refineMessage.value = '';
+      refineHistory.textContent = response.history.length
+        ? `Your requests so far: ${response.history.join(' · ')}`
+        : '';
+      
+      updateRecommendationsUI(recommendations);
+      matchSpotifyTracks();
+      
+      if (response.incomplete) {
+        showToast('Some songs could not be replaced right now, so the list is shorter.', 'warning');
+      }
+    } catch (error) {
+      showToast(error.message, 'error');
+      console.error('Refinement error:', error);
+      recommendationsLoading.classList.add('d-none');
+    } finally {
+      refineBtn.disabled = false;
     }
   }
   
+  /**
+   * Rate a song for the next refinement; clicking the same rating again clears it
+   * @param {number} index - Index of the song in recommendations array
+   * @param {string} rating - like or dislike
+   * @param {HTMLElement} songCard - The song's card element
+   */
+  function rateSong(index, rating, songCard) {
+    if (songFeedback[index] === rating) {
+      delete songFeedback[index];
+    } else {
+      songFeedback[index] = rating;
+    }
+    
+    updateSongFeedbackButtons(index, songCard);
+  }
+  
+  /**
+   * Highlight a song card's rating buttons to match its rating
+   * @param {number} index - Index of the song in recommendations array
+   * @param {HTMLElement} songCard - The song's card element
+   */
+  function updateSongFeedbackButtons(index, songCard) {
+    songCard.querySelector('.song-like-btn').classList.toggle('active', songFeedback[index] === 'like');
+    songCard.querySelector('.song-dislike-btn').classList.toggle('active', songFeedback[index] === 'dislike');
+  }
+  
+  /**
+   * Read the recommendation filter controls
+   * @returns {Object} Filters for the recommendation request
+   */
+  function readFilters() {
+    const splitList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+    
+    return {
+      count: parseInt(filterCount.value, 10) || 10,
+      includeGenres: splitList(filterIncludeGenres.value),
+      excludeGenres: splitList(filterExcludeGenres.value),
+      decadeFrom: filterDecadeFrom.value ? parseInt(filterDecadeFrom.value, 10) : null,
+      decadeTo: filterDecadeTo.value ? parseInt(filterDecadeTo.value, 10) : null,
+      language: filterInstrumental.checked ? null : filterLanguage.value.trim() || null,
+      instrumental: filterInstrumental.checked,
+      explicit: filterExplicit.value,
+      localArtists: filterLocalArtists.checked,
+      // The slider runs from my taste (0) to discovery (100)
+      tasteWeight: filterPersonalize.checked ? 1 - parseInt(filterTaste.value, 10) / 100 : null
+    };
+  }
+  
+  /**
+   * Check whether a selected file is an image or a supported video clip
+   * HEIC photos often arrive without a MIME type, so fall back to the extension
+   * @param {File} file - Selected file
+   * @returns {boolean} Whether the file should be uploaded
+   */
+  function isMediaFile(file) {
+    return file.type.startsWith('image/') ||
+      file.type === 'video/mp4' ||
+      file.type === 'video/webm' ||
+      /\.(heic|heif)$/i.test(file.name);
+  }
+  
+  /**
+   * Render album thumbnails into a container
+   * @param {HTMLElement} container - Element to render into
+   * @param {Array<Object>} photos - Photos with a file and an optional label
+   */
+  function renderAlbumStrip(container, photos) {
+    container.innerHTML = '';
+    
+    if (photos.length < 2) {
+      container.classList.add('d-none');
+      return;
+    }
+    
+    photos.forEach((photo, index) => {
+      const thumb = document.createElement('div');
+      thumb.className = 'album-thumb';
+      thumb.innerHTML = `
+        <img src="${getPhotoUrl(photo.file)}" alt="Photo ${index + 1}">
+        <div class="album-thumb-label">${photo.label || `#${index + 1}`}</div>
+      `;
+      container.appendChild(thumb);
+    });
+    
+    container.classList.remove('d-none');
+  }
+  
+  /**
+   * Get (and remember) an object URL for a selected photo
+   * @param {File} file - Selected image file
+   * @returns {string} Object URL
+   */
+  function getPhotoUrl(file) {
+    if (!file.previewUrl) {
+      file.previewUrl = URL.createObjectURL(file);
+    }
+    return file.previewUrl;
+  }
+  
   /**
    * Reset the image upload to initial state
    */
   function resetImageUpload() {
+    currentImages.forEach(file => file.previewUrl && URL.revokeObjectURL(file.previewUrl));
     currentImage = null;
+    currentImages = [];
+    albumImages = null;
     uploadedFilename = null;
+    coverImageId = null;
+    renderAlbumStrip(albumStrip, []);
+    videoPreview.removeAttribute('src');
     imageInput.value = '';
     previewContainer.classList.add('d-none');
     uploadZone.querySelector('.upload-prompt').classList.remove('d-none');
@@ -170,30 +465,100 @@ document.addEventListener('DOMContentLoaded', () => {
       keywordsLoading.classList.remove('d-none');
       colorsContainer.innerHTML = '';
       recommendationsContainer.innerHTML = '';
+      recommendationsSource.textContent = '';
       recommendationsLoading.classList.remove('d-none');
+      refineBar.classList.add('d-none');
+      refineHistory.textContent = '';
+      songFeedback = {};
+      refinementId = null;
       
       // Scroll to results
       resultsSection.scrollIntoView({ behavior: 'smooth' });
       
-      // Upload the image
-      const uploadResponse = await ApiService.uploadImage(currentImage);
-      uploadedFilename = uploadResponse.filename;
+      if (currentImages.length > 1) {
+        // Upload and analyze the whole album, then blend it into one analysis
+        const uploadResponse = await ApiService.uploadAlbum(currentImages, {
+          stripLocation: stripLocationToggle.checked
+        });
+        
+        // Use the server's normalized copies for thumbnails (viewable even for HEIC)
+        currentImages.forEach((file, index) => {
+          if (file.previewUrl) URL.revokeObjectURL(file.previewUrl);
+          file.previewUrl = uploadResponse.paths[index];
+        });
+        
+        const album = await ApiService.analyzeAlbum(uploadResponse.filenames);
+        
+        // The first photo of an album becomes the playlist cover
+        coverImageId = uploadResponse.filenames[0];
+        
+        analysisResults = album.combined;
+        albumImages = album.images;
+      } else {
+        // Upload the image
+        const uploadResponse = await ApiService.uploadImage(currentImage, {
+          stripLocation: stripLocationToggle.checked
+        });
+        uploadedFilename = uploadResponse.filename;
+        coverImageId = uploadedFilename;
+        
+        // Show the server's normalized copy (oriented, and viewable even for HEIC);
+        // videos keep playing in their own preview
+        if (videoPreview.classList.contains('d-none')) {
+          imagePreview.src = uploadResponse.path;
+        }
+        
+        if (uploadResponse.duplicate) {
+          showToast('You have uploaded this image before, reusing its analysis.', 'info');
+        }
+        
+        // Analyze the image
+        analysisResults = await ApiService.analyzeImage(uploadedFilename);
+        albumImages = null;
+      }
       
-      // Analyze the image
-      analysisResults = await ApiService.analyzeImage(uploadedFilename);
+      // Google was unavailable, so the local analyzer took over without SafeSearch
+      if (analysisResults.moderation && analysisResults.moderation.unavailable) {
+        showToast('Content moderation was unavailable, so this photo was analyzed without it.', 'warning');
+      }
       
       // Update UI with analysis results
       updateAnalysisUI(analysisResults);
       
-      // Get recommendations
-      recommendations = await ApiService.getRecommendations(
+      // Stream recommendations, showing each song as soon as it is generated
+      recommendations = [];
+      const recommendationResponse = await ApiService.streamRecommendations(
         analysisResults.keywords,
         analysisResults.colorNames,
-        analysisResults.dominantEmotion
+        analysisResults.mood,
+        getRecommendationContext(),
+        readFilters(),
+        {
+          onRecommendation: (song, index) => {
+            recommendations[index] = song;
+            updateRecommendationsUI(recommendations, { append: true });
+          },
+          onReset: () => {
+            // A corrected answer replaces the songs shown so far
+            recommendations = [];
+            selectedSpotifyTracks = {};
+            trackChoices = {};
+            songFeedback = {};
+            recommendationsContainer.innerHTML = '';
+            recommendationsLoading.classList.remove('d-none');
+          }
+        }
       );
       
-      // Update recommendations UI
-      updateRecommendationsUI(recommendations);
+      recommendationsSource.textContent = `Suggested by ${recommendationResponse.model} (${recommendationResponse.provider})`;
+      
+      // Finish the list (shows the empty state if no songs arrived)
+      updateRecommendationsUI(recommendations, { append: true });
+      matchSpotifyTracks();
+      
+      if (recommendationResponse.incomplete) {
+        showToast('Some songs could not be replaced right now, so the list is shorter.', 'warning');
+      }
       
       // Update theme colors based on dominant color
       if (analysisResults.colors && analysisResults.colors.length) {
@@ -227,6 +592,33 @@ document.addEventListener('DOMContentLoaded', () => {
       keywordsContainer.appendChild(tag);
     });
     
+    // Show how much each photo of an album contributed
+    renderAlbumStrip(albumBreakdown, albumImages
+      ? albumImages.map((image, index) => ({
+          file: currentImages[index],
+          label: `#${image.photo} · ${Math.round(image.weight * 100)}%`
+        }))
+      : []);
+    
+    // Display where and when the photo was taken, if known
+    if (results.place) {
+      const placeParts = [results.place.landmark, results.place.country, results.place.timeOfDay].filter(Boolean);
+      if (placeParts.length) {
+        const tag = document.createElement('div');
+        tag.className = 'keyword-tag';
+        tag.innerHTML = `<i class="fas fa-map-marker-alt"></i>${placeParts.join(' · ')}`;
+        keywordsContainer.appendChild(tag);
+      }
+    }
+    
+    // Display the pace of a GIF or video clip
+    if (results.motion) {
+      const tag = document.createElement('div');
+      tag.className = 'keyword-tag';
+      tag.innerHTML = `<i class="fas fa-film"></i>${results.motion.pace} clip · ${results.keyframes.length} keyframes`;
+      keywordsContainer.appendChild(tag);
+    }
+    
     // Display colors
     colorsContainer.innerHTML = '';
     results.colors.forEach((color, index) => {
@@ -245,21 +637,81 @@ document.addEventListener('DOMContentLoaded', () => {
       colorDiv.appendChild(label);
       colorsContainer.appendChild(colorDiv);
     });
+    
+    // Summarize palette metrics
+    paletteSummary.textContent = results.palette ? describePalette(results.palette) : '';
+    
+    // Summarize the mood and its strongest drivers
+    moodSummary.textContent = results.mood ? describeMood(results.mood) : '';
+  }
+  
+  /**
+   * Describe the mood estimate and the features that shaped it most
+   * @param {Object} mood - Mood with valence, energy, label, and contributions
+   * @returns {string} Summary such as "Mood: upbeat · valence 72% · energy 65% (mostly labels: beach, party; palette)"
+   */
+  function describeMood(mood) {
+    const drivers = mood.contributions
+      .filter(contribution => contribution.feature !== 'prior')
+      .sort((a, b) => (b.valenceShare + b.energyShare) - (a.valenceShare + a.energyShare))
+      .slice(0, 2)
+      .map(contribution => contribution.feature === 'labels'
+        ? `labels: ${contribution.detail}`
+        : contribution.feature);
+    
+    let summary = `Mood: ${mood.label} · valence ${Math.round(mood.valence * 100)}% · energy ${Math.round(mood.energy * 100)}%`;
+    if (drivers.length) {
+      summary += ` (mostly ${drivers.join('; ')})`;
+    }
+    return summary;
   }
   
+  /**
+   * Describe palette metrics in a few words
+   * @param {Object} palette - Palette metrics from the analysis
+   * @returns {string} Summary such as "Warm · Vivid · Complementary harmony"
+   */
+  function describePalette(palette) {
+    const words = [];
+    
+    if (palette.warmth >= 0.2) words.push('Warm');
+    else if (palette.warmth <= -0.2) words.push('Cool');
+    
+    if (palette.saturation >= 0.55) words.push('Vivid');
+    else if (palette.saturation <= 0.2) words.push('Muted');
+    
+    if (palette.brightness >= 0.65) words.push('Bright');
+    else if (palette.brightness <= 0.35) words.push('Dark');
+    
+    if (palette.contrast >= 0.5) words.push('High contrast');
+    
+    if (palette.harmony) {
+      words.push(`${palette.harmony.charAt(0).toUpperCase()}${palette.harmony.slice(1)} harmony`);
+    }
+    
+    return words.join(' · ');  }
+  
   /**
    * Update the UI with song recommendations
    * @param {Array} recommendations - Song recommendations from API
+   * @param {Object} options - Rendering options
+   * @param {boolean} options.append - Only add cards for songs not shown yet (used while streaming)
    */
-  function updateRecommendationsUI(recommendations) {
+  function updateRecommendationsUI(recommendations, { append = false } = {}) {
     // Hide loading indicator
     recommendationsLoading.classList.add('d-none');
     
-    // Reset selected tracks
-    selectedSpotifyTracks = {};
+    // Streamed songs arrive in order, so the cards already shown are a prefix of the list
+    const renderedCount = recommendationsContainer.querySelectorAll('.song-card').length;
+    const startIndex = append && recommendations && renderedCount <= recommendations.length ? renderedCount : 0;
     
-    // Display recommendations
-    recommendationsContainer.innerHTML = '';
+    if (startIndex === 0) {
+      // Reset selected tracks
+      selectedSpotifyTracks = {};
+      trackChoices = {};
+      
+      recommendationsContainer.innerHTML = '';
+    }
     
     if (!recommendations || recommendations.length === 0) {
       recommendationsContainer.innerHTML = `
@@ -267,21 +719,32 @@ document.addEventListener('DOMContentLoaded', () => {
           <p class="text-muted">No recommendations found. Try uploading a different image.</p>
         </div>
       `;
+      refineBar.classList.add('d-none');
       return;
     }
     
-    recommendations.forEach((song, index) => {
+    recommendations.slice(startIndex).forEach((song, offset) => {
+      const index = startIndex + offset;
+      // In album mode, show the photo that inspired the song
+      const photoFile = albumImages && song.photo ? currentImages[song.photo - 1] : null;
+      const photoThumb = photoFile
+        ? `<img class="song-photo" src="${getPhotoUrl(photoFile)}" alt="Photo ${song.photo}" title="Inspired by photo ${song.photo}">`
+        : '';
+      
       const songCard = document.createElement('div');
       songCard.className = 'col';
       songCard.innerHTML = `
         <div class="card song-card h-100">
           <div class="card-body">
-            <div class="song-title">${song.title}</div>
+            <div class="song-title">${photoThumb}${song.title}</div>
             <div class="song-artist">${song.artist}</div>
             <div class="song-mood">
               <span class="badge bg-light text-dark">
                 <i class="fas fa-music me-1"></i>${song.mood}
               </span>
+              ${song.verified ? `<span class="badge bg-light text-success song-verified" title="Found in the Spotify catalog">
+                <i class="fab fa-spotify me-1"></i>On Spotify
+              </span>` : ''}
             </div>
             <div class="song-reason">${song.reason}</div>
             <div class="song-actions">
@@ -291,6 +754,14 @@ document.addEventListener('DOMContentLoaded', () => {
               <button class="btn btn-sm btn-outline-success spotify-like-btn d-none" data-track-id="">
                 <i class="fas fa-heart me-1"></i>Like
               </button>
+              <div class="btn-group btn-group-sm song-feedback" role="group" aria-label="Rate this song">
+                <button class="btn btn-outline-secondary song-like-btn" title="Keep this song">
+                  <i class="fas fa-thumbs-up"></i>
+                </button>
+                <button class="btn btn-outline-secondary song-dislike-btn" title="Replace this song">
+                  <i class="fas fa-thumbs-down"></i>
+                </button>
+              </div>
             </div>
           </div>
         </div>
@@ -303,8 +774,15 @@ document.addEventListener('DOMContentLoaded', () => {
       searchBtn.addEventListener('click', () => {
         openSpotifySearch(song.title, song.artist, index);
       });
+      
+      // Thumbs up/down feed the next refinement
+      songCard.querySelector('.song-like-btn').addEventListener('click', () => rateSong(index, 'like', songCard));
+      songCard.querySelector('.song-dislike-btn').addEventListener('click', () => rateSong(index, 'dislike', songCard));
+      updateSongFeedbackButtons(index, songCard);
     });
     
+    refineBar.classList.remove('d-none');
+    
     // Show Spotify login prompt or actions
     if (spotifyUser) {
       spotifyPrompt.classList.add('d-none');
@@ -324,6 +802,13 @@ document.addEventListener('DOMContentLoaded', () => {
       
       // Update UI based on login status
       updateSpotifyLoginUI();
+      
+      // Logging in with personalization is the opt-in, so start with it on
+      if (spotifyUser && spotifyUser.personalization) {
+        filterPersonalize.checked = true;
+        filterTaste.disabled = false;
+        loadTasteProfile();
+      }
     } catch (error) {
       console.error('Error checking Spotify login:', error);
       spotifyUser = null;
@@ -331,6 +816,22 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
   
+  /**
+   * Load the user's taste profile and summarize it under the personalization slider
+   */
+  async function loadTasteProfile() {
+    try {
+      tasteSummary.textContent = 'Loading your listening profile...';
+      const { profile, personalized } = await ApiService.getTasteProfile();
+      
+      tasteSummary.textContent = personalized
+        ? `Based on ${(profile.genres.length ? profile.genres : profile.artists).slice(0, 4).join(', ')}`
+        : 'Not enough listening history yet; recommendations will not be personalized.';
+    } catch (error) {
+      tasteSummary.textContent = error.message;
+    }
+  }
+  
   /**
    * Update the UI based on Spotify login status
    */
@@ -377,6 +878,9 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
     
+    // Songs matched ambiguously offer their candidates instead of a new search
+    const choices = trackChoices[index];
+    
     try {
       // Show modal and loading indicator
       spotifyTrackModal.show();
@@ -384,7 +888,11 @@ document.addEventListener('DOMContentLoaded', () => {
       spotifySearchLoading.classList.remove('d-none');
       
       // Search for the track
-      const searchResponse = await ApiService.searchSpotifyTrack(title, artist);
+      const searchResponse = choices ? { tracks: choices } : await ApiService.searchSpotifyTrack(
+        title,
+        artist,
+        analysisResults ? analysisResults.audioTargets : null
+      );
       
       // Hide loading indicator
       spotifySearchLoading.classList.add('d-none');
@@ -393,7 +901,21 @@ document.addEventListener('DOMContentLoaded', () => {
       if (searchResponse.tracks && searchResponse.tracks.length > 0) {
         spotifySearchResults.innerHTML = '';
         
-        searchResponse.tracks.forEach(track => {
+        // Candidates stay in order of how well they match; search results go best audio-feature
+        // fit first, and tracks without a score keep Spotify's order after them
+        const tracks = choices ? searchResponse.tracks : searchResponse.tracks
+          .map((track, position) => ({ track, position }))
+          .sort((a, b) => fitScore(b.track) - fitScore(a.track) || a.position - b.position)
+          .map(entry => entry.track);
+        
+        tracks.forEach(track => {
+          const matchBadge = track.confidence !== undefined
+            ? `<span class="badge bg-light text-dark spotify-track-fit" title="How closely the title and artist match the recommendation">${Math.round(track.confidence * 100)}% match</span>`
+            : '';
+          const fitBadge = track.fit
+            ? `<span class="badge bg-light text-dark spotify-track-fit" title="How well the track's audio features fit the image">${Math.round(track.fit.score * 100)}% fit</span>`
+            : '';
+          
           const trackElement = document.createElement('div');
           trackElement.className = 'spotify-track';
           trackElement.innerHTML = `
@@ -402,6 +924,8 @@ document.addEventListener('DOMContentLoaded', () => {
               <div class="spotify-track-title">${track.name}</div>
               <div class="spotify-track-artist">${track.artists}</div>
             </div>
+            ${matchBadge}
+            ${fitBadge}
             <button class="btn btn-sm btn-success select-track-btn" data-track-id="${track.id}">
               <i class="fas fa-check"></i>
             </button>
@@ -416,6 +940,13 @@ document.addEventListener('DOMContentLoaded', () => {
             spotifyTrackModal.hide();
           });
         });
+        
+        if (searchResponse.fitAvailable === false) {
+          const note = document.createElement('p');
+          note.className = 'text-muted small mt-2 mb-0';
+          note.textContent = describeFitUnavailable(searchResponse.fitUnavailableReason);
+          spotifySearchResults.appendChild(note);
+        }
       } else {
         spotifySearchResults.innerHTML = `
           <div class="alert alert-warning">
@@ -433,14 +964,38 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
   
+  /**
+   * Explain why tracks came back without an audio-feature fit
+   * @param {string} reason - fitUnavailableReason from the search or resolve response
+   * @returns {string} Message for the listener
+   */
+  function describeFitUnavailable(reason) {
+    const reasons = {
+      not_granted: 'this app has no access to Spotify audio features',
+      rate_limited: 'Spotify is limiting requests right now',
+      unauthorized: 'your Spotify session has expired'
+    };
+    return `Fit scores are unavailable because ${reasons[reason] || 'Spotify audio features could not be loaded'}.`;
+  }
+  
+  /**
+   * Get a search result's audio-feature fit for sorting
+   * @param {Object} track - Spotify search result
+   * @returns {number} Fit score (0-1), or -1 when the track has none
+   */
+  function fitScore(track) {
+    return track.fit ? track.fit.score : -1;
+  }
+  
   /**
    * Select a Spotify track for a recommendation
    * @param {string} trackId - Spotify track ID
    * @param {number} index - Index of the song in recommendations array
    */
-  function selectSpotifyTrack(trackId, index) {
-    // Store the selected track
+  function selectSpotifyTrack(trackId, index, { quiet = false } = {}) {
+    // Store the selected track; later changes search Spotify again
     selectedSpotifyTracks[index] = trackId;
+    delete trackChoices[index];
     
     // Update the UI
     const songCard = recommendationsContainer.children[index];
@@ -450,7 +1005,7 @@ document.addEventListener('DOMContentLoaded', () => {
       
       // Update buttons
       searchBtn.textContent = 'Change Track';
-      searchBtn.classList.remove('btn-outline-primary');
+      searchBtn.classList.remove('btn-outline-primary', 'btn-outline-warning');
       searchBtn.classList.add('btn-primary');
       
       likeBtn.dataset.trackId = trackId;
@@ -471,7 +1026,58 @@ document.addEventListener('DOMContentLoaded', () => {
       });
     }
     
-    showToast('Track selected! You can now add it to a playlist.', 'success');
+    if (!quiet) {
+      showToast('Track selected! You can now add it to a playlist.', 'success');
+    }
+  }
+  
+  /**
+   * Match every recommendation to a Spotify track at once: confident matches are selected
+   * right away, and songs with several likely tracks wait for the listener's choice
+   */
+  async function matchSpotifyTracks() {
+    if (!spotifyUser || !recommendations.length) return;
+    
+    const songs = recommendations;
+    try {
+      const response = await ApiService.resolveSpotifyTracks(
+        songs,
+        analysisResults ? analysisResults.audioTargets : null
+      );
+      
+      // A refinement or a new analysis may have replaced the list meanwhile
+      if (songs !== recommendations) return;
+      
+      let matched = 0;
+      let ambiguous = 0;
+      response.results.forEach(result => {
+        if (result.status === 'matched') {
+          selectSpotifyTrack(result.track.id, result.index, { quiet: true });
+          matched++;
+        } else if (result.status === 'ambiguous') {
+          trackChoices[result.index] = result.candidates;
+          
+          const songCard = recommendationsContainer.children[result.index];
+          const searchBtn = songCard && songCard.querySelector('.spotify-search-btn');
+          if (searchBtn) {
+            searchBtn.innerHTML = '<i class="fab fa-spotify me-1"></i>Choose Track';
+            searchBtn.classList.remove('btn-outline-primary');
+            searchBtn.classList.add('btn-outline-warning');
+          }
+          ambiguous++;
+        }
+      });
+      
+      const message = `Matched ${matched} of ${songs.length} songs on Spotify.`;
+      showToast(ambiguous ? `${message} Choose the track for ${ambiguous} more.` : message, matched ? 'success' : 'info');
+      
+      if (response.fitAvailable === false) {
+        showToast(describeFitUnavailable(response.fitUnavailableReason), 'info');
+      }
+    } catch (error) {
+      console.error('Spotify matching error:', error);
+      showToast(error.message, 'error');
+    }
   }
   
   /**
@@ -480,33 +1086,83 @@ document.addEventListener('DOMContentLoaded', () => {
   async function loadPlaylists() {
     try {
       // Clear and show loading
-      playlistSelect.innerHTML = '<option selected disabled>Loading playlists...</option>';
+      editablePlaylists = [];
+      selectedPlaylistId = null;
+      playlistSearch.value = '';
+      playlistList.innerHTML = '';
+      playlistListStatus.textContent = 'Loading playlists...';
       
       // Get playlists
       const response = await ApiService.getPlaylists();
       
-      // Populate dropdown
-      playlistSelect.innerHTML = '<option selected disabled>Select a playlist</option>';
+      // Only show playlists the user can modify: their own and collaborative ones
+      editablePlaylists = (response.playlists || []).filter(playlist => playlist.canEdit);
+      renderPlaylistList();
       
-      if (response.playlists && response.playlists.length > 0) {
-        // Only show playlists the user can modify
-        const modifiablePlaylists = response.playlists.filter(p => p.isOwner);
-        
-        modifiablePlaylists.forEach(playlist => {
-          const option = document.createElement('option');
-          option.value = playlist.id;
-          option.textContent = `${playlist.name} (${playlist.trackCount} tracks)`;
-          playlistSelect.appendChild(option);
-        });
-      } else {
-        playlistSelect.innerHTML = '<option selected disabled>No playlists found</option>';
+      if (response.truncated) {
+        showToast(`Only your first ${response.playlists.length} of ${response.total} playlists could be loaded`, 'warning');
       }
     } catch (error) {
-      playlistSelect.innerHTML = '<option selected disabled>Error loading playlists</option>';
+      playlistListStatus.textContent = 'Error loading playlists';
       showToast(error.message, 'error');
     }
   }
   
+  /**
+   * Render the playlists matching the search box into the playlist picker
+   */
+  function renderPlaylistList() {
+    const query = playlistSearch.value.trim().toLowerCase();
+    const matches = editablePlaylists.filter(playlist =>
+      !query || playlist.name.toLowerCase().includes(query) || playlist.owner.toLowerCase().includes(query)
+    );
+    
+    playlistList.innerHTML = '';
+    
+    matches.slice(0, MAX_LISTED_PLAYLISTS).forEach(playlist => {
+      const selected = playlist.id === selectedPlaylistId;
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = `list-group-item list-group-item-action d-flex align-items-center gap-2 text-start${selected ? ' active' : ''}`;
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', selected);
+      item.innerHTML = `
+        <img class="playlist-list-image" src="${playlist.image || 'https://via.placeholder.com/40'}" alt="">
+        <div class="flex-grow-1">
+          <div class="playlist-list-name fw-semibold"></div>
+          <div class="playlist-list-details small"></div>
+        </div>
+        ${playlist.collaborative ? '<span class="badge bg-secondary">Collaborative</span>' : ''}
+        ${playlist.public === false ? '<span class="badge bg-light text-dark">Private</span>' : ''}
+      `;
+      
+      // Names come from Spotify users, so they are set as text
+      item.querySelector('.playlist-list-name').textContent = playlist.name;
+      item.querySelector('.playlist-list-details').textContent = playlist.isOwner
+        ? `${playlist.trackCount} tracks`
+        : `${playlist.trackCount} tracks · by ${playlist.owner}`;
+      
+      item.addEventListener('click', () => {
+        selectedPlaylistId = playlist.id;
+        renderPlaylistList();
+      });
+      
+      playlistList.appendChild(item);
+    });
+    
+    if (!editablePlaylists.length) {
+      playlistListStatus.textContent = 'No playlists you can add songs to';
+    } else if (!matches.length) {
+      playlistListStatus.textContent = `No playlists match "${playlistSearch.value.trim()}"`;
+    } else if (matches.length > MAX_LISTED_PLAYLISTS) {
+      playlistListStatus.textContent = `Showing ${MAX_LISTED_PLAYLISTS} of ${matches.length} playlists; search to find the others`;
+    } else {
+      playlistListStatus.textContent = query
+        ? `${matches.length} of ${editablePlaylists.length} playlists`
+        : `${matches.length} playlists`;
+    }
+  }
+  
   /**
    * Create a new playlist and add selected tracks
    */
@@ -533,13 +1189,24 @@ document.addEventListener('DOMContentLoaded', () => {
       createPlaylistSubmit.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Creating...';
       
       // Create playlist
-      const createResponse = await ApiService.createPlaylist(name, description);
+      const cover = playlistCoverToggle.checked && coverImageId
+        ? { imageId: coverImageId, palette: playlistCoverPaletteToggle.checked }
+        : null;
+      const createResponse = await ApiService.createPlaylist(name, description, cover);
       
       // Add tracks to playlist
-      await ApiService.addToPlaylist(createResponse.playlist.id, trackIds);
+      const addResponse = await ApiService.addToPlaylist(createResponse.playlist.id, trackIds);
       
-      // Show success and reset
-      showToast(`Playlist "${name}" created and ${trackIds.length} songs added!`, 'success');
+      // Show success and reset; a missing cover does not undo the playlist
+      if (addResponse.failed) {
+        const { message, type } = describePlaylistAdd(addResponse);
+        showToast(`Playlist "${name}" created. ${message}`, type);
+      } else {
+        showToast(`Playlist "${name}" created and ${addResponse.added} songs added!`, 'success');
+      }
+      if (createResponse.cover && !createResponse.cover.uploaded) {
+        showToast(`The playlist cover could not be set: ${createResponse.cover.error}`, 'warning');
+      }
       document.getElementById('playlist-name').value = '';
       document.getElementById('playlist-description').value = '';
       playlistForm.classList.add('d-none');
@@ -557,7 +1224,7 @@ document.addEventListener('DOMContentLoaded', () => {
    * Add selected tracks to an existing playlist
    */
   async function addToExistingPlaylist() {
-    const playlistId = playlistSelect.value;
+    const playlistId = selectedPlaylistId;
     
     if (!playlistId) {
       showToast('Please select a playlist', 'error');
@@ -577,11 +1244,14 @@ document.addEventListener('DOMContentLoaded', () => {
       addToPlaylistSubmit.disabled = true;
       addToPlaylistSubmit.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Adding...';
       
-      // Add tracks to playlist
-      await ApiService.addToPlaylist(playlistId, trackIds);
+      // Add tracks to playlist; songs already in it are skipped
+      const addResponse = await ApiService.addToPlaylist(playlistId, trackIds, {
+        position: playlistAddTopToggle.checked ? 0 : null
+      });
       
-      // Show success and reset
-      showToast(`${trackIds.length} songs added to the playlist!`, 'success');
+      // Show what happened to each song and reset
+      const { message, type } = describePlaylistAdd(addResponse);
+      showToast(message, type);
       playlistsDropdown.classList.add('d-none');
       
     } catch (error) {
@@ -593,6 +1263,38 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
   
+  /**
+   * Summarize the per-track outcomes of adding songs to a playlist
+   * @param {Object} response - Response from ApiService.addToPlaylist
+   * @returns {Object} Toast message and type
+   */
+  function describePlaylistAdd(response) {
+    const parts = [`${response.added} ${response.added === 1 ? 'song' : 'songs'} added to the playlist.`];
+    
+    if (response.skipped) {
+      parts.push(`${response.skipped} ${response.skipped === 1 ? 'was' : 'were'} already in it.`);
+    }
+    
+    if (response.failed) {
+      // Name the songs that failed, looked up from the recommendations they were chosen for
+      const failedIds = new Set(response.results.filter(result => result.status === 'failed').map(result => result.trackId));
+      const titles = Object.entries(selectedSpotifyTracks)
+        .filter(([, trackId]) => failedIds.has(trackId))
+        .map(([index]) => recommendations[index] && recommendations[index].title)
+        .filter(Boolean);
+      parts.push(`${response.failed} could not be added${titles.length ? `: ${titles.join(', ')}` : ''}.`);
+    }
+    
+    if (response.duplicatesChecked === 'partial') {
+      parts.push('The playlist is very long, so only its first songs were checked for duplicates.');
+    }
+    
+    return {
+      message: parts.join(' '),
+      type: response.failed ? 'warning' : response.added ? 'success' : 'info'
+    };
+  }
+  
   /**
    * Update theme colors based on the dominant color from the image
    * @param {string} hexColor - Hex color code